@@ -1,10 +1,191 @@
-const { exec, spawn } = require('child_process')
+const { exec, execFile, spawn } = require('child_process')
 const { promisify } = require('util')
 const path = require('path')
 const fs = require('fs')
 const os = require('os')
 
 const execAsync = promisify(exec)
+const execFileAsync = promisify(execFile)
+
+// logcat -v 支持的输出格式与修饰符
+const LOG_FORMATS = ['brief', 'tag', 'process', 'time', 'long', 'threadtime']
+const LOG_FORMAT_MODIFIERS = ['year', 'epoch', 'uid', 'zone', 'printable', 'usec']
+// logcat -b 支持的缓冲区和日志级别
+const LOG_BUFFERS = ['main', 'system', 'crash', 'events', 'radio', 'kernel', 'security', 'stats', 'default', 'all']
+const LOG_LEVELS = ['V', 'D', 'I', 'W', 'E', 'F']
+
+// 应用包名（可带 :remote 这类进程后缀），用于校验用户输入
+const PACKAGE_NAME_REGEX = /^[A-Za-z][\w]*(\.[\w]+)*(:[\w.]+)?$/
+// 导入日志文件时每次读取的字节数
+const READ_CHUNK_SIZE = 1024 * 1024
+// 跟踪应用进程时轮询 ps 的间隔 (毫秒)
+const PROCESS_POLL_INTERVAL = 2000
+// adb track-devices 意外退出（如 adb server 重启）后重新连接的间隔
+const DEVICE_TRACK_RETRY_INTERVAL = 3000
+// logcat 意外退出后的重启间隔，从 1 秒开始每次翻倍，最长 30 秒；设备在线时连续失败超过次数后放弃，
+// 设备断开期间不计次数，一直等到设备重新上线
+const LOGCAT_RESTART_BASE_DELAY = 1000
+const LOGCAT_RESTART_MAX_DELAY = 30000
+const LOGCAT_MAX_RESTART_ATTEMPTS = 10
+// 重启后的 logcat 进程存活超过这个时间才算恢复，此时清零重启次数
+const LOGCAT_ALIVE_GRACE_PERIOD = 3000
+// 停止 logcat 时等待进程退出的时间，超时后强制结束
+const LOGCAT_STOP_TIMEOUT = 3000
+
+// 无线调试地址 host:port（IPv4、主机名或 [IPv6]），配对码为 6 位数字
+const ENDPOINT_REGEX = /^(?:\[[0-9a-fA-F:.%\w]+\]|[\w.-]+):\d{1,5}$/
+const PAIRING_CODE_REGEX = /^\d{6}$/
+// 配置中保留的最近连接地址数量
+const MAX_RECENT_ENDPOINTS = 10
+
+const isBoolean = value => typeof value === 'boolean'
+const isString = value => typeof value === 'string'
+const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value)
+const isOneOf = list => value => list.includes(value)
+const isArrayOf = check => value => Array.isArray(value) && value.every(check)
+const matches = regex => value => isString(value) && regex.test(value)
+const isValidRegex = value => {
+  if (!isString(value)) {
+    return false
+  }
+  try {
+    new RegExp(value)
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+// 预设与工作区中保存的会话设置字段及其校验，导入预设和恢复工作区时丢弃未知或不合法的字段
+const SESSION_SETTING_VALIDATORS = {
+  filters: isArrayOf(filter => isObject(filter) && isString(filter.tag) && LOG_LEVELS.includes(filter.level)),
+  frontendFiltering: isBoolean,
+  searchKeyword: isString,
+  caseSensitive: isBoolean,
+  columnVisibility: value => isObject(value) && Object.values(value).every(isBoolean),
+  buffers: value => isArrayOf(isOneOf(LOG_BUFFERS))(value) && value.length > 0,
+  logFormat: isOneOf(LOG_FORMATS),
+  formatModifiers: isArrayOf(isOneOf(LOG_FORMAT_MODIFIERS)),
+  groupMultiline: isBoolean,
+  packageName: value => value === '' || matches(PACKAGE_NAME_REGEX)(value),
+  logcatOptions: isObject
+}
+// 会话设置中的 logcat 高级选项 (LogcatOptions 的一部分)
+const LOGCAT_OPTION_VALIDATORS = {
+  dump: isBoolean,
+  pid: matches(/^\d*$/),
+  uid: matches(/^(\d+(,\d+)*)?$/),
+  regex: isValidRegex,
+  maxCount: value => value === null || (Number.isInteger(value) && value > 0),
+  silenceOthers: isBoolean
+}
+
+/**
+ * startLogcat 的选项，对应 adb logcat 的命令行参数
+ * @typedef {Object} LogcatOptions
+ * @property {string[]} [buffers] 缓冲区 (-b)，默认 ['main']
+ * @property {string} [format] 输出格式 (-v)，默认 threadtime
+ * @property {string[]} [modifiers] 格式修饰符 (-v)
+ * @property {boolean} [dump] 输出现有日志后退出 (-d)
+ * @property {string} [since] 从该时间开始，格式 "MM-DD HH:mm:ss.SSS" (-T，dump 时为 -t)
+ * @property {number} [tail] 只输出最近的条数 (-T，dump 时为 -t)
+ * @property {number} [pid] 只输出该进程的日志 (--pid)
+ * @property {string} [uid] 只输出这些 UID 的日志，逗号分隔 (--uid，Android 9 及以上)
+ * @property {string} [regex] 只输出消息匹配该正则的日志，在设备上过滤 (-e)
+ * @property {number} [maxCount] 输出这么多条后退出 (-m)
+ * @property {boolean} [silenceOthers] 有标签过滤器时追加 *:S，其他标签不输出
+ */
+
+// logcat -g 输出中大小的单位
+const SIZE_UNITS = { b: 1, k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024 }
+// logcat -G 接受的缓冲区大小，如 256K、16M
+const BUFFER_SIZE_REGEX = /^\d+[KM]?$/i
+
+// 只保留 validators 中列出且校验通过的字段
+function pickValid(values, validators) {
+  const picked = {}
+  Object.entries(validators).forEach(([field, isValid]) => {
+    if (isObject(values) && values[field] !== undefined) {
+      if (isValid(values[field])) {
+        picked[field] = values[field]
+      } else {
+        logger.info('忽略不合法的设置:', field, values[field])
+      }
+    }
+  })
+  return picked
+}
+
+function pickSessionSettings(settings) {
+  const picked = pickValid(settings, SESSION_SETTING_VALIDATORS)
+  if (picked.filters) {
+    picked.filters = picked.filters.map(({ tag, level }) => ({ tag, level }))
+  }
+  if (picked.logcatOptions) {
+    picked.logcatOptions = pickValid(picked.logcatOptions, LOGCAT_OPTION_VALIDATORS)
+  }
+  return picked
+}
+
+// 解析设备列表。adb devices / track-devices 每行为 "serial\tstate"，
+// adb devices -l 还会附加 "usb:1-1 product:redfin model:Pixel_5 device:redfin transport_id:1" 这样的属性
+function parseDeviceList(text) {
+  return text.split('\n')
+    .map(line => line.trim().match(/^(\S+)\s+(no permissions|\S+)(.*)$/))
+    .filter(Boolean)
+    .map(([, id, state, rest]) => {
+      const props = {}
+      rest.trim().split(/\s+/).forEach(token => {
+        const index = token.indexOf(':')
+        if (index > 0) {
+          props[token.slice(0, index)] = token.slice(index + 1)
+        }
+      })
+      return { value: id, label: id, state, props }
+    })
+}
+
+// 根据序列号和 devices -l 的属性判断连接方式: usb、tcp（adb connect / 无线调试）或 emulator
+function getTransport(serial, props = {}) {
+  if (/^emulator-\d+$/.test(serial)) {
+    return 'emulator'
+  }
+  if (props.usb) {
+    return 'usb'
+  }
+  if (/:\d+$/.test(serial) || serial.includes('._adb-tls-connect._tcp')) {
+    return 'tcp'
+  }
+  return 'usb'
+}
+
+// 解析 logcat -g 输出的各缓冲区容量和已用大小，返回 [{ buffer, size, consumed }]（字节），各版本格式略有不同:
+// "main: ring buffer is 256 KiB (255 KiB consumed), max entry is 5120 B, max payload is 4068 B"
+// "main: ring buffer is 8 MiB (1 MiB consumed, 8 MiB readable), max entry is 5120 B, ..."
+// "main: ring buffer is 256Kb (255Kb consumed), max entry is 5120b, max payload is 4076b"
+function parseBufferSizes(text) {
+  const toBytes = (value, unit) => Math.round(Number(value) * SIZE_UNITS[unit[0].toLowerCase()] || Number(value))
+  return text.split('\n')
+    .map(line => line.trim().match(/^(\w+): ring buffer is ([\d.]+)\s*([KMG]?i?B)\s*\(([\d.]+)\s*([KMG]?i?B) consumed/i))
+    .filter(Boolean)
+    .map(([, buffer, size, sizeUnit, consumed, consumedUnit]) => ({
+      buffer,
+      size: toBytes(size, sizeUnit),
+      consumed: toBytes(consumed, consumedUnit)
+    }))
+}
+
+// 解析 getprop 的 "[key]: [value]" 输出
+function parseProps(text) {
+  const props = {}
+  text.split('\n').forEach(line => {
+    const match = line.match(/^\[(.+?)\]: \[(.*)\]/)
+    if (match) {
+      props[match[1]] = match[2]
+    }
+  })
+  return props
+}
 
 // 日志工具
 const logger = {
@@ -13,11 +194,237 @@ const logger = {
   error: (...args) => console.error('[ADB Error]', ...args)
 }
 
+// 结束子进程。Windows 上 kill() 只结束 adb 本身，用 taskkill 结束整个进程树
+function killProcessTree(child) {
+  if (child.exitCode !== null || child.signalCode !== null) {
+    return
+  }
+  if (process.platform === 'win32' && child.pid) {
+    execFile('taskkill', ['/pid', String(child.pid), '/T', '/F'], (error) => {
+      if (error) {
+        logger.error('taskkill 失败:', error)
+        child.kill()
+      }
+    })
+  } else {
+    child.kill('SIGTERM')
+  }
+}
+
+// 一次 logcat 监听：持有 logcat 进程，停止时等待进程真正退出，意外退出时按退避间隔自动重启
+// handlers:
+// - onData(text) 收到日志输出
+// - onError(text) logcat 的错误输出或进程错误
+// - onStateChange({ state, code, attempt, delay, waiting, interrupted, resumed }) 状态变化，state 为:
+//   running 正在输出 | restarting 意外退出，等待或正在重启 | finished 导出模式或达到条数后正常结束 |
+//   failed 设备在线但重启失败次数过多，已放弃 | stopped 已停止
+//   restarting 时 waiting 表示设备已断开，等待设备重新上线；interrupted 表示刚从 running 中断
+//   running 时 resumed 表示重启后的进程已稳定运行
+// - getResumeOptions() 重启时覆盖的选项，通常是 { since: 最后一条日志的时间 }，避免重复读取
+class LogcatSession {
+  constructor(manager, deviceId, filters, options, handlers) {
+    this.manager = manager
+    this.deviceId = deviceId
+    this.filters = filters
+    this.options = options
+    this.handlers = handlers
+    this.state = 'starting'
+    this.child = null
+    this.attempt = 0
+    this.timer = null
+    this.aliveTimer = null
+    this.stopping = null
+    this.lastCode = null
+    // 设备是否在线，由 track-devices 更新；为 null 时尚未得知，按在线处理
+    this.deviceOnline = null
+    this.unwatchDevices = null
+  }
+
+  // 跟踪设备的连接状态：断开期间不计重启次数，重新上线时立即重启
+  watchDevice() {
+    try {
+      this.unwatchDevices = this.manager.subscribeDevices(devices => {
+        const wasOnline = this.deviceOnline
+        this.deviceOnline = devices.some(device => device.value === this.deviceId && device.state === 'device')
+        if (this.state !== 'restarting' || this.child) {
+          return
+        }
+        if (!this.deviceOnline) {
+          this.waitForDevice()
+        } else if (wasOnline === false) {
+          logger.info('设备已重新上线，重启logcat:', this.deviceId)
+          this.restart()
+        }
+      })
+    } catch (error) {
+      logger.error('跟踪设备状态失败:', error)
+    }
+  }
+
+  // 设备断开时取消计划中的重启并清零次数，等设备重新上线
+  waitForDevice() {
+    clearTimeout(this.timer)
+    this.attempt = 0
+    this.setState('restarting', { code: this.lastCode, attempt: 0, waiting: true })
+  }
+
+  start(overrides = {}) {
+    const args = this.manager.buildLogcatArgs(this.deviceId, this.filters, { ...this.options, ...overrides })
+    logger.debug('执行logcat命令:', this.manager.config.adbPath, args)
+    const child = spawn(this.manager.config.adbPath, args)
+    this.child = child
+    child.stdout.setEncoding('utf8')
+    child.stderr.setEncoding('utf8')
+
+    child.stdout.on('data', (data) => {
+      if (this.child === child && !this.stopping) {
+        this.emit('onData', data)
+      }
+    })
+    child.stderr.on('data', (data) => {
+      if (this.child === child && !this.stopping) {
+        this.emit('onError', data)
+      }
+    })
+    child.on('error', (error) => {
+      logger.error('logcat进程错误:', error)
+      if (this.child !== child) {
+        return
+      }
+      this.emit('onError', error.message)
+      // 启动失败（如 adb 路径失效）时不一定会触发 close
+      if (child.pid === undefined) {
+        this.handleExit(child, null)
+      }
+    })
+    child.on('close', (code) => this.handleExit(child, code))
+
+    // 没有新日志时 logcat 也不会输出，所以按进程存活时间而不是首次输出判断是否恢复
+    clearTimeout(this.aliveTimer)
+    this.aliveTimer = setTimeout(() => {
+      if (this.child !== child || this.stopping) {
+        return
+      }
+      this.attempt = 0
+      if (this.state === 'restarting') {
+        this.setState('running', { resumed: true })
+      }
+    }, LOGCAT_ALIVE_GRACE_PERIOD)
+    if (this.state !== 'restarting') {
+      this.setState('running')
+    }
+  }
+
+  handleExit(child, code) {
+    if (this.child !== child) {
+      return
+    }
+    this.child = null
+    clearTimeout(this.aliveTimer)
+    logger.info('logcat进程已关闭, 退出码:', code)
+    if (this.stopping) {
+      return
+    }
+    if (this.options.dump || this.options.maxCount) {
+      this.finish('finished', code)
+      return
+    }
+    this.lastCode = code
+    const interrupted = this.state === 'running'
+    if (this.deviceOnline === false) {
+      this.setState('restarting', { code, attempt: 0, waiting: true, interrupted })
+      return
+    }
+    this.attempt++
+    if (this.attempt > LOGCAT_MAX_RESTART_ATTEMPTS) {
+      this.finish('failed', code)
+      return
+    }
+    const delay = Math.min(LOGCAT_RESTART_MAX_DELAY, LOGCAT_RESTART_BASE_DELAY * 2 ** (this.attempt - 1))
+    logger.info(`logcat 将在 ${delay}ms 后重启, 第 ${this.attempt} 次`)
+    this.setState('restarting', { code, attempt: this.attempt, delay, interrupted })
+    this.timer = setTimeout(() => this.restart(), delay)
+  }
+
+  restart() {
+    clearTimeout(this.timer)
+    if (this.stopping || this.child) {
+      return
+    }
+    try {
+      this.start(this.handlers.getResumeOptions ? this.handlers.getResumeOptions() : {})
+    } catch (error) {
+      logger.error('重启logcat失败:', error)
+      this.emit('onError', error.message)
+      this.finish('failed', null)
+    }
+  }
+
+  // 会话结束（不再重启）
+  finish(state, code) {
+    this.manager.logcatSessions.delete(this)
+    this.stopWatchingDevice()
+    this.setState(state, { code })
+  }
+
+  // 停止监听，返回的 Promise 在 logcat 进程退出后完成
+  stop() {
+    if (this.stopping) {
+      return this.stopping
+    }
+    clearTimeout(this.timer)
+    clearTimeout(this.aliveTimer)
+    const child = this.child
+    this.stopping = !child ? Promise.resolve() : new Promise(resolve => {
+      const timer = setTimeout(() => {
+        logger.error('logcat进程未能及时退出，强制结束')
+        child.kill('SIGKILL')
+        resolve()
+      }, LOGCAT_STOP_TIMEOUT)
+      child.once('close', () => {
+        clearTimeout(timer)
+        resolve()
+      })
+      killProcessTree(child)
+    })
+    this.setState('stopped')
+    this.manager.logcatSessions.delete(this)
+    this.stopWatchingDevice()
+    return this.stopping
+  }
+
+  stopWatchingDevice() {
+    if (this.unwatchDevices) {
+      this.unwatchDevices()
+      this.unwatchDevices = null
+    }
+  }
+
+  setState(state, detail = {}) {
+    this.state = state
+    this.emit('onStateChange', { state, ...detail })
+  }
+
+  emit(name, ...args) {
+    if (this.handlers[name]) {
+      this.handlers[name](...args)
+    }
+  }
+}
+
 class AdbManager {
   constructor() {
     logger.info('初始化 AdbManager')
     this.config = this.loadConfig()
     logger.info('当前配置:', this.config)
+    // 每个设备的进程表轮询: deviceId -> { processMap, processes, listeners, timer, loaded, stopped }
+    this.processTrackers = new Map()
+    // adb track-devices 进程及订阅者，所有订阅者共享一个进程
+    this.deviceTracker = null
+    // 设备属性缓存: serial -> { model, manufacturer, release, sdk }，设备在线期间属性不变
+    this.deviceInfoCache = new Map()
+    // 运行中的 logcat 会话，插件退出时统一停止
+    this.logcatSessions = new Set()
   }
 
   getConfigPath() {
@@ -113,6 +520,13 @@ class AdbManager {
     return this.config.adbPath
   }
 
+  // 保存界面设置（如日志保留条数），与已有设置合并
+  updateSettings(settings) {
+    logger.info('更新设置:', settings)
+    this.config.settings = { ...this.config.settings, ...settings }
+    return this.saveConfig()
+  }
+
   async getDevices() {
     try {
       if (!this.config.adbPath) {
@@ -121,14 +535,9 @@ class AdbManager {
       }
 
       logger.debug('执行获取设备命令')
-      const { stdout } = await execAsync(`"${this.config.adbPath}" devices`)
-      const lines = stdout.split('\n').slice(1)
-      const devices = lines
-        .map(line => {
-          const [id, status] = line.trim().split('\t')
-          return id && status === 'device' ? { value: id, label: id } : null
-        })
-        .filter(Boolean)
+      const { stdout } = await execFileAsync(this.config.adbPath, ['devices', '-l'])
+      // 保留未授权、离线等状态的设备，由界面显示其状态
+      const devices = await this.describeDevices(parseDeviceList(stdout.split('\n').slice(1).join('\n')))
       logger.info('获取到的设备列表:', devices)
       return devices
     } catch (error) {
@@ -137,58 +546,631 @@ class AdbManager {
     }
   }
 
-  async clearLogcat(deviceId) {
+  // 过滤预设: [{ name, settings }]，按名称唯一
+  getPresets() {
+    return this.config.presets || []
+  }
+
+  // 保存预设，同名时覆盖
+  savePreset(name, settings) {
+    const presetName = (name || '').trim()
+    if (!presetName) {
+      throw new Error('预设名称不能为空')
+    }
+    const preset = { name: presetName, settings: pickSessionSettings(settings) }
+    const presets = this.getPresets().filter(p => p.name !== presetName)
+    this.config.presets = [...presets, preset]
+    logger.info('保存预设:', presetName)
+    this.saveConfig()
+    return this.config.presets
+  }
+
+  deletePreset(name) {
+    this.config.presets = this.getPresets().filter(p => p.name !== name)
+    logger.info('删除预设:', name)
+    this.saveConfig()
+    return this.config.presets
+  }
+
+  // 从 JSON 文件导入预设，与已有预设同名时覆盖，返回导入后的全部预设
+  importPresets(filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    const list = Array.isArray(data) ? data : data && data.presets
+    if (!Array.isArray(list)) {
+      throw new Error('文件中没有预设')
+    }
+    const imported = list
+      .filter(p => p && typeof p.name === 'string' && p.name.trim() && p.settings && typeof p.settings === 'object')
+      .map(p => ({ name: p.name.trim(), settings: pickSessionSettings(p.settings) }))
+    if (imported.length === 0) {
+      throw new Error('文件中没有有效的预设')
+    }
+    const names = new Set(imported.map(p => p.name))
+    this.config.presets = [...this.getPresets().filter(p => !names.has(p.name)), ...imported]
+    logger.info('导入预设:', [...names])
+    this.saveConfig()
+    return this.config.presets
+  }
+
+  // 导出预设到 JSON 文件，names 为空时导出全部
+  exportPresets(filePath, names) {
+    const presets = names ? this.getPresets().filter(p => names.includes(p.name)) : this.getPresets()
+    fs.writeFileSync(filePath, JSON.stringify({ version: 1, presets }, null, 2))
+    logger.info('导出预设:', filePath, presets.length)
+    return presets.length
+  }
+
+  // 高亮规则按顺序保存，靠前的优先
+  getHighlightRules() {
+    return this.config.highlightRules || []
+  }
+
+  saveHighlightRules(rules) {
+    if (!Array.isArray(rules)) {
+      throw new Error('高亮规则格式错误')
+    }
+    this.config.highlightRules = rules
+    logger.info('保存高亮规则:', rules.length)
+    return this.saveConfig()
+  }
+
+  // 工作区：上次使用的标签页及其设置，插件再次进入时恢复
+  getWorkspace() {
+    const workspace = this.config.workspace
+    if (!isObject(workspace)) {
+      return null
+    }
+    // 配置文件可能被手动修改或来自旧版本，恢复前再校验一次
+    return {
+      ...workspace,
+      tabs: (Array.isArray(workspace.tabs) ? workspace.tabs : [])
+        .filter(isObject)
+        .map(tab => ({ ...tab, settings: pickSessionSettings(tab.settings) }))
+    }
+  }
+
+  saveWorkspace(workspace) {
+    this.config.workspace = {
+      ...workspace,
+      tabs: (workspace.tabs || []).map(tab => ({ ...tab, settings: pickSessionSettings(tab.settings) }))
+    }
+    return this.saveConfig()
+  }
+
+  // 读取设备的型号、厂商和系统版本，只对在线设备有效
+  async getDeviceInfo(deviceId) {
+    if (this.deviceInfoCache.has(deviceId)) {
+      return this.deviceInfoCache.get(deviceId)
+    }
+    const props = parseProps(await this.runAdb(deviceId, ['shell', 'getprop']))
+    const info = {
+      model: props['ro.product.model'] || '',
+      manufacturer: props['ro.product.manufacturer'] || '',
+      release: props['ro.build.version.release'] || '',
+      sdk: props['ro.build.version.sdk'] || ''
+    }
+    this.deviceInfoCache.set(deviceId, info)
+    return info
+  }
+
+  // 设备当前的年份、月份和时区偏移（分钟），用于补全日志时间戳中缺少的年份和时区
+  async getDeviceClock(deviceId) {
+    const output = (await this.runAdb(deviceId, ['shell', 'date', '+%Y/%m/%z'])).trim()
+    const match = output.match(/^(\d{4})\/(\d{2})\/([+-])(\d{2})(\d{2})$/)
+    if (!match) {
+      throw new Error(`无法解析设备时间: ${output}`)
+    }
+    const [, year, month, sign, hours, minutes] = match
+    return {
+      year: Number(year),
+      month: Number(month),
+      offset: (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes))
+    }
+  }
+
+  // 为设备列表补充型号、系统版本、连接方式和别名；读取属性失败时退回到 devices -l 中的型号
+  async describeDevices(devices) {
+    const aliases = this.config.deviceAliases || {}
+    // 已断开的设备可能换了系统或被刷机，重新连接后重新读取
+    for (const serial of this.deviceInfoCache.keys()) {
+      if (!devices.some(d => d.value === serial && d.state === 'device')) {
+        this.deviceInfoCache.delete(serial)
+      }
+    }
+    return Promise.all(devices.map(async ({ props = {}, ...device }) => {
+      let info = { model: (props.model || '').replace(/_/g, ' '), manufacturer: '', release: '', sdk: '' }
+      if (device.state === 'device') {
+        try {
+          info = await this.getDeviceInfo(device.value)
+        } catch (error) {
+          logger.error('读取设备属性失败:', device.value, error)
+        }
+      }
+      return {
+        ...device,
+        ...info,
+        transport: getTransport(device.value, props),
+        alias: aliases[device.value] || ''
+      }
+    }))
+  }
+
+  // 设置设备别名并保存到配置，别名为空时删除
+  setDeviceAlias(deviceId, alias) {
+    const aliases = { ...this.config.deviceAliases }
+    const name = (alias || '').trim()
+    if (name) {
+      aliases[deviceId] = name
+    } else {
+      delete aliases[deviceId]
+    }
+    this.config.deviceAliases = aliases
+    logger.info('设置设备别名:', deviceId, name)
+    return this.saveConfig()
+  }
+
+  // 订阅设备的连接与状态变化，返回取消订阅的函数。listener(devices) 在每次变化时收到完整的设备列表
+  // adb track-devices 的输出是 4 位十六进制长度加上该长度的设备列表，每次变化输出一段
+  subscribeDevices(listener) {
     if (!this.config.adbPath) {
       logger.error('未配置ADB路径')
       throw new Error('ADB path not configured')
     }
+    let tracker = this.deviceTracker
+    if (!tracker) {
+      tracker = { devices: null, version: 0, listeners: new Set(), process: null, timer: null, stopped: false }
+      this.deviceTracker = tracker
+      const track = () => {
+        let pending = ''
+        logger.info('开始跟踪设备连接')
+        const process = spawn(this.config.adbPath, ['track-devices'])
+        tracker.process = process
+        process.stdout.on('data', (data) => {
+          pending += data.toString()
+          while (pending.length >= 4) {
+            const length = parseInt(pending.slice(0, 4), 16)
+            if (Number.isNaN(length) || pending.length < 4 + length) {
+              break
+            }
+            const devices = parseDeviceList(pending.slice(4, 4 + length))
+            pending = pending.slice(4 + length)
+            logger.info('设备列表变化:', devices)
+            // 补充设备信息是异步的，只通知最新一次变化的结果
+            const version = ++tracker.version
+            this.describeDevices(devices).then(described => {
+              if (version === tracker.version && !tracker.stopped) {
+                tracker.devices = described
+                tracker.listeners.forEach(l => l(described))
+              }
+            })
+          }
+        })
+        process.on('error', (error) => {
+          logger.error('跟踪设备失败:', error)
+        })
+        process.on('close', (code) => {
+          if (tracker.stopped) {
+            return
+          }
+          logger.info('track-devices 已退出, 退出码:', code)
+          tracker.timer = setTimeout(track, DEVICE_TRACK_RETRY_INTERVAL)
+        })
+      }
+      track()
+    } else if (tracker.devices) {
+      listener(tracker.devices)
+    }
+    tracker.listeners.add(listener)
 
-    const cmd = `"${this.config.adbPath}" -s ${deviceId} logcat -c`
-    logger.debug('执行清除日志命令:', cmd)
-    await execAsync(cmd)
+    return () => {
+      tracker.listeners.delete(listener)
+      if (tracker.listeners.size === 0) {
+        tracker.stopped = true
+        clearTimeout(tracker.timer)
+        if (tracker.process) {
+          tracker.process.kill()
+        }
+        this.deviceTracker = null
+        logger.info('停止跟踪设备连接')
+      }
+    }
+  }
+
+  // 执行不针对特定设备的 adb 命令（如 connect、pair），返回标准输出和错误输出的合并文本
+  async runAdbHost(args) {
+    if (!this.config.adbPath) {
+      logger.error('未配置ADB路径')
+      throw new Error('ADB path not configured')
+    }
+    try {
+      const { stdout, stderr } = await execFileAsync(this.config.adbPath, args, { timeout: 30000 })
+      return `${stdout}${stderr}`.trim()
+    } catch (error) {
+      // adb connect/pair 失败时部分版本返回非 0 退出码，错误原因仍在输出中
+      const output = `${error.stdout || ''}${error.stderr || ''}`.trim()
+      throw new Error(output || error.message)
+    }
   }
 
-  startLogcat(deviceId, filters = []) {
+  validateEndpoint(address) {
+    if (!ENDPOINT_REGEX.test(address || '')) {
+      throw new Error(`无效的地址: ${address}，应为 host:port`)
+    }
+  }
+
+  // 记录最近使用的无线调试地址，最新的在前
+  addRecentEndpoint(address) {
+    const recent = (this.config.recentEndpoints || []).filter(item => item.address !== address)
+    recent.unshift({ address, lastUsed: Date.now() })
+    this.config.recentEndpoints = recent.slice(0, MAX_RECENT_ENDPOINTS)
+    this.saveConfig()
+  }
+
+  getRecentEndpoints() {
+    return this.config.recentEndpoints || []
+  }
+
+  removeRecentEndpoint(address) {
+    this.config.recentEndpoints = this.getRecentEndpoints().filter(item => item.address !== address)
+    this.saveConfig()
+    return this.config.recentEndpoints
+  }
+
+  // 使用配对码与开启了无线调试的设备配对（Android 11+）
+  async pairDevice(address, code) {
+    this.validateEndpoint(address)
+    if (!PAIRING_CODE_REGEX.test(code || '')) {
+      throw new Error('配对码应为 6 位数字')
+    }
+    logger.info('配对设备:', address)
+    const output = await this.runAdbHost(['pair', address, code])
+    logger.info('配对结果:', output)
+    if (!/Successfully paired/i.test(output)) {
+      throw new Error(output || '配对失败')
+    }
+    return output
+  }
+
+  // 通过 TCP 连接设备，成功后设备会出现在 track-devices 的设备列表中
+  async connectDevice(address) {
+    this.validateEndpoint(address)
+    logger.info('连接设备:', address)
+    const output = await this.runAdbHost(['connect', address])
+    logger.info('连接结果:', output)
+    // 失败时输出 "failed to connect to ..." 或 "cannot connect to ..."
+    if (!/connected to/i.test(output) || /failed|cannot|unable/i.test(output)) {
+      throw new Error(output || '连接失败')
+    }
+    this.addRecentEndpoint(address)
+    return output
+  }
+
+  // 除 host:port 外，还可以断开通过 mDNS 连接的设备，其序列号如 adb-XXXX-yyyy._adb-tls-connect._tcp
+  async disconnectDevice(address) {
+    if (typeof address !== 'string' || /^-|\s/.test(address) || getTransport(address) !== 'tcp') {
+      throw new Error(`不是无线连接的设备: ${address}`)
+    }
+    logger.info('断开设备:', address)
+    const output = await this.runAdbHost(['disconnect', address])
+    if (/error/i.test(output)) {
+      throw new Error(output)
+    }
+    return output
+  }
+
+  // 让 USB 连接的设备在指定端口监听 adb，返回设备的 Wi-Fi IP（读取失败时为空）以便直接连接
+  async enableTcpip(deviceId, port = 5555) {
+    const portNumber = Number(port)
+    if (!Number.isInteger(portNumber) || portNumber < 1 || portNumber > 65535) {
+      throw new Error(`无效的端口: ${port}`)
+    }
+    let ip = ''
+    try {
+      const stdout = await this.runAdb(deviceId, ['shell', 'ip', '-f', 'inet', 'addr', 'show', 'wlan0'])
+      const match = stdout.match(/inet (\d+\.\d+\.\d+\.\d+)/)
+      ip = match ? match[1] : ''
+    } catch (error) {
+      logger.error('读取设备IP失败:', error)
+    }
+    logger.info('切换到TCP模式:', deviceId, portNumber)
+    const output = await this.runAdb(deviceId, ['tcpip', String(portNumber)])
+    if (/error/i.test(output)) {
+      throw new Error(output)
+    }
+    return { ip, port: portNumber }
+  }
+
+  // 通过 mDNS 发现局域网内开启了无线调试的设备
+  // 输出每行为 "名称\t服务类型\t地址"，服务类型 _adb-tls-pairing 用于配对，_adb-tls-connect 用于连接，_adb 为 adb tcpip 开启的旧式连接
+  async discoverMdnsServices() {
+    const output = await this.runAdbHost(['mdns', 'services'])
+    return output.split('\n')
+      .map(line => line.trim().split(/\s+/))
+      .filter(cols => cols.length >= 3 && ENDPOINT_REGEX.test(cols[cols.length - 1]))
+      .map(cols => {
+        const type = cols[1]
+        return {
+          name: cols[0],
+          type: type.includes('pairing') ? 'pairing' : type.includes('tls-connect') ? 'connect' : 'legacy',
+          address: cols[cols.length - 1]
+        }
+      })
+  }
+
+  // 以参数数组执行 adb 命令，避免拼接 shell 字符串
+  async runAdb(deviceId, args) {
     if (!this.config.adbPath) {
       logger.error('未配置ADB路径')
       throw new Error('ADB path not configured')
     }
+    const { stdout } = await execFileAsync(this.config.adbPath, ['-s', deviceId, ...args], {
+      maxBuffer: 16 * 1024 * 1024
+    })
+    return stdout
+  }
 
+  // 列出设备上的进程；Android 8 以下的 ps 不支持 -A/-o，失败时退回到默认输出
+  async listProcesses(deviceId) {
+    let lines = []
     try {
-      const filterString = filters
-        .map(f => `${f.tag}:${f.level}`)
-        .join(' ')
-      
-      // 使用数组形式的参数，避免命令注入
-      const args = ['-s', deviceId, 'logcat', '-v', 'threadtime', '-b', 'main']
-      if (filterString) {
-        args.push(...filterString.split(' '))
+      const stdout = await this.runAdb(deviceId, ['shell', 'ps', '-A', '-o', 'PID,NAME'])
+      lines = stdout.split('\n')
+    } catch (error) {
+      logger.debug('ps -A 不可用，使用默认 ps:', error.message)
+    }
+
+    if (!lines[0] || !/^\s*PID\s+NAME/.test(lines[0])) {
+      // 默认格式: USER PID PPID VSIZE RSS WCHAN PC NAME
+      const stdout = await this.runAdb(deviceId, ['shell', 'ps'])
+      return stdout.split('\n').slice(1)
+        .map(line => line.trim().split(/\s+/))
+        .filter(cols => cols.length >= 3 && /^\d+$/.test(cols[1]))
+        .map(cols => ({ pid: cols[1], name: cols[cols.length - 1] }))
+    }
+
+    return lines.slice(1)
+      .map(line => line.trim().split(/\s+/))
+      .filter(cols => cols.length >= 2 && /^\d+$/.test(cols[0]))
+      .map(([pid, name]) => ({ pid, name }))
+  }
+
+  // 获取应用的所有进程 PID，包括 com.example.app:remote 这类子进程
+  async getPackagePids(deviceId, packageName) {
+    const processes = await this.listProcesses(deviceId)
+    return processes
+      .filter(({ name }) => name === packageName || name.startsWith(`${packageName}:`))
+      .map(({ pid }) => pid)
+  }
+
+  // 订阅设备的进程表，同一设备的多个订阅者共享一个 ps 轮询；返回取消订阅的函数
+  // listener(processMap, processes)：processMap 为 PID -> 进程名，已退出进程的名称会保留，便于显示历史日志
+  subscribeProcesses(deviceId, listener) {
+    let tracker = this.processTrackers.get(deviceId)
+    if (!tracker) {
+      tracker = { processMap: {}, processes: [], listeners: new Set(), timer: null, loaded: false, stopped: false }
+      this.processTrackers.set(deviceId, tracker)
+      const poll = async () => {
+        try {
+          const processes = await this.listProcesses(deviceId)
+          if (tracker.stopped) {
+            return
+          }
+          processes.forEach(({ pid, name }) => {
+            tracker.processMap[pid] = name
+          })
+          tracker.processes = processes
+          tracker.loaded = true
+          tracker.listeners.forEach(l => l(tracker.processMap, processes))
+        } catch (error) {
+          logger.error('获取进程列表失败:', error)
+        }
+        if (!tracker.stopped) {
+          tracker.timer = setTimeout(poll, PROCESS_POLL_INTERVAL)
+        }
       }
-      
-      logger.debug('执行logcat命令:', this.config.adbPath, args)
-      const process = spawn(this.config.adbPath, args, {
-        encoding: 'utf8'
-      })
+      logger.info('开始轮询设备进程:', deviceId)
+      poll()
+    } else if (tracker.loaded) {
+      listener(tracker.processMap, tracker.processes)
+    }
+    tracker.listeners.add(listener)
 
-      // 添加进程事件监听
-      process.on('spawn', () => {
-        logger.info('logcat进程已启动')
-      })
+    return () => {
+      tracker.listeners.delete(listener)
+      if (tracker.listeners.size === 0) {
+        tracker.stopped = true
+        clearTimeout(tracker.timer)
+        this.processTrackers.delete(deviceId)
+        logger.info('停止轮询设备进程:', deviceId)
+      }
+    }
+  }
 
-      process.on('error', (err) => {
-        logger.error('logcat进程错误:', err)
-      })
+  // 获取设备当前的 PID -> 进程名映射（需已有订阅者）
+  getProcessMap(deviceId) {
+    const tracker = this.processTrackers.get(deviceId)
+    return tracker ? { ...tracker.processMap } : {}
+  }
 
-      process.on('close', (code) => {
-        logger.info('logcat进程已关闭, 退出码:', code)
-      })
+  // 持续跟踪应用的 PID，应用崩溃重启后 PID 变化时通知 listener，返回停止跟踪的函数
+  watchPackage(deviceId, packageName, listener) {
+    if (!PACKAGE_NAME_REGEX.test(packageName)) {
+      throw new Error(`无效的包名: ${packageName}`)
+    }
+
+    let lastPids = null
+    const unsubscribe = this.subscribeProcesses(deviceId, (processMap, processes) => {
+      const pids = processes
+        .filter(({ name }) => name === packageName || name.startsWith(`${packageName}:`))
+        .map(({ pid }) => pid)
+      const key = pids.join(',')
+      if (key !== lastPids) {
+        lastPids = key
+        logger.info('应用进程变化:', packageName, pids)
+        listener({ packageName, pids, running: pids.length > 0 })
+      }
+    })
+
+    return () => {
+      unsubscribe()
+      logger.info('停止跟踪应用:', packageName)
+    }
+  }
+
+  async clearLogcat(deviceId) {
+    if (!this.config.adbPath) {
+      logger.error('未配置ADB路径')
+      throw new Error('ADB path not configured')
+    }
 
-      return process
+    const cmd = `"${this.config.adbPath}" -s ${deviceId} logcat -c`
+    logger.debug('执行清除日志命令:', cmd)
+    await execAsync(cmd)
+  }
+
+  // 将缓冲区列表转换为 -b 参数；多个缓冲区时加 -D，让 logcat 在缓冲区切换处输出分隔行
+  buildBufferArgs(buffers) {
+    const list = buffers && buffers.length > 0 ? buffers : ['main']
+    if (list.includes('all')) {
+      return ['-b', 'all', '-D']
+    }
+    const args = []
+    list.forEach(buffer => args.push('-b', buffer))
+    if (list.length > 1) {
+      args.push('-D')
+    }
+    return args
+  }
+
+  // 将输出格式和修饰符转换为 -v 参数，只接受 logcat 支持的取值
+  buildFormatArgs(format, modifiers = []) {
+    const logFormat = LOG_FORMATS.includes(format) ? format : 'threadtime'
+    const args = ['-v', logFormat]
+    modifiers
+      .filter(modifier => LOG_FORMAT_MODIFIERS.includes(modifier))
+      .forEach(modifier => args.push('-v', modifier))
+    return args
+  }
+
+  /**
+   * 生成 logcat 的参数数组。参数不经过本地 shell，每个值都是独立的参数，adb 在设备端会再做转义
+   * @param {string} deviceId 设备序列号
+   * @param {{ tag: string, level: string }[]} filters 标签:级别过滤器
+   * @param {LogcatOptions} options
+   * @returns {string[]}
+   */
+  buildLogcatArgs(deviceId, filters = [], options = {}) {
+    const {
+      buffers = ['main'],
+      format = 'threadtime',
+      modifiers = [],
+      dump = false,
+      since,
+      tail,
+      pid,
+      uid,
+      regex,
+      maxCount,
+      silenceOthers = false
+    } = options
+    const isPositiveInteger = value => Number.isInteger(Number(value)) && Number(value) > 0
+
+    const args = [
+      '-s', deviceId, 'logcat',
+      ...this.buildFormatArgs(format, modifiers),
+      ...this.buildBufferArgs(buffers)
+    ]
+    if (dump) {
+      args.push('-d')
+    }
+    // 从指定时间开始（断线重连时只读取断开之后的日志，避免重复），或只读取最近 tail 条历史日志。
+    // -t 会隐含 -d 输出后退出，实时会话使用同样接受时间或条数的 -T
+    const startFlag = dump ? '-t' : '-T'
+    if (since) {
+      args.push(startFlag, String(since))
+    } else if (tail) {
+      if (!isPositiveInteger(tail)) {
+        throw new Error(`无效的条数: ${tail}`)
+      }
+      args.push(startFlag, String(tail))
+    }
+    if (pid) {
+      if (!isPositiveInteger(pid)) {
+        throw new Error(`无效的 PID: ${pid}`)
+      }
+      args.push(`--pid=${pid}`)
+    }
+    if (uid) {
+      if (!/^\d+(,\d+)*$/.test(String(uid))) {
+        throw new Error(`无效的 UID: ${uid}`)
+      }
+      args.push(`--uid=${uid}`)
+    }
+    if (regex) {
+      args.push('-e', String(regex))
+    }
+    if (maxCount) {
+      if (!isPositiveInteger(maxCount)) {
+        throw new Error(`无效的最大条数: ${maxCount}`)
+      }
+      args.push('-m', String(maxCount))
+    }
+    const filterSpecs = filters.map(f => `${f.tag}:${f.level}`)
+    if (filterSpecs.length > 0) {
+      args.push(...filterSpecs)
+      if (silenceOthers) {
+        args.push('*:S')
+      }
+    }
+    return args
+  }
+
+  // logcat -g 读取各缓冲区的容量和已用大小（字节）
+  async getBufferSizes(deviceId, buffers) {
+    const bufferArgs = this.buildBufferArgs(buffers).filter(arg => arg !== '-D')
+    return parseBufferSizes(await this.runAdb(deviceId, ['logcat', '-g', ...bufferArgs]))
+  }
+
+  // logcat -G 调整缓冲区大小，如 256K、16M，返回调整后的大小
+  async setBufferSize(deviceId, size, buffers) {
+    if (!BUFFER_SIZE_REGEX.test(String(size))) {
+      throw new Error(`无效的缓冲区大小: ${size}，应为数字加可选的 K/M 单位`)
+    }
+    const bufferArgs = this.buildBufferArgs(buffers).filter(arg => arg !== '-D')
+    await this.runAdb(deviceId, ['logcat', '-G', String(size).toUpperCase(), ...bufferArgs])
+    return this.getBufferSizes(deviceId, buffers)
+  }
+
+  /**
+   * 启动 logcat 会话
+   * @param {string} deviceId 设备序列号
+   * @param {{ tag: string, level: string }[]} filters 标签:级别过滤器
+   * @param {LogcatOptions} options
+   * @param {Object} handlers 事件回调，见 LogcatSession
+   * @returns {LogcatSession}
+   */
+  startLogcat(deviceId, filters = [], options = {}, handlers = {}) {
+    if (!this.config.adbPath) {
+      logger.error('未配置ADB路径')
+      throw new Error('ADB path not configured')
+    }
+
+    try {
+      const session = new LogcatSession(this, deviceId, filters, options, handlers)
+      session.start()
+      session.watchDevice()
+      this.logcatSessions.add(session)
+      return session
     } catch (error) {
       logger.error('启动logcat失败:', error)
       throw error
     }
   }
+
+  // 停止所有 logcat 会话
+  stopAllLogcat() {
+    return Promise.all([...this.logcatSessions].map(session => session.stop()))
+  }
 }
 
 // 创建单例
@@ -207,6 +1189,13 @@ window.exports = {
   }
 }
 
+// 插件被结束时停止所有 logcat，避免遗留 adb 进程；只是隐藏窗口时继续在后台监听
+utools.onPluginOut((processExit) => {
+  if (processExit) {
+    adbManager.stopAllLogcat()
+  }
+})
+
 // 包装函数，统一处理错误和返回格式
 const wrapMethod = async (methodName, method, ...args) => {
   logger.info(`调用${methodName}:`, ...args)
@@ -231,14 +1220,33 @@ window.adb = {
   init: () => wrapMethod('init', adbManager.init),
   setAdbPath: (path) => wrapMethod('setAdbPath', adbManager.setAdbPath, path),
   getAdbPath: () => wrapMethod('getAdbPath', adbManager.getAdbPath),
+  updateSettings: (settings) => wrapMethod('updateSettings', adbManager.updateSettings, settings),
   getDevices: () => wrapMethod('getDevices', adbManager.getDevices),
-  startLogcat: (deviceId, filters) => {
-    logger.info('调用startLogcat:', { deviceId, filters })
+  setDeviceAlias: (deviceId, alias) => wrapMethod('setDeviceAlias', adbManager.setDeviceAlias, deviceId, alias),
+  getDeviceClock: (deviceId) => wrapMethod('getDeviceClock', adbManager.getDeviceClock, deviceId),
+  pairDevice: (address, code) => wrapMethod('pairDevice', adbManager.pairDevice, address, code),
+  connectDevice: (address) => wrapMethod('connectDevice', adbManager.connectDevice, address),
+  disconnectDevice: (address) => wrapMethod('disconnectDevice', adbManager.disconnectDevice, address),
+  enableTcpip: (deviceId, port) => wrapMethod('enableTcpip', adbManager.enableTcpip, deviceId, port),
+  discoverMdnsServices: () => wrapMethod('discoverMdnsServices', adbManager.discoverMdnsServices),
+  getRecentEndpoints: () => wrapMethod('getRecentEndpoints', adbManager.getRecentEndpoints),
+  removeRecentEndpoint: (address) => wrapMethod('removeRecentEndpoint', adbManager.removeRecentEndpoint, address),
+  getPresets: () => wrapMethod('getPresets', adbManager.getPresets),
+  savePreset: (name, settings) => wrapMethod('savePreset', adbManager.savePreset, name, settings),
+  deletePreset: (name) => wrapMethod('deletePreset', adbManager.deletePreset, name),
+  importPresets: (filePath) => wrapMethod('importPresets', adbManager.importPresets, filePath),
+  exportPresets: (filePath, names) => wrapMethod('exportPresets', adbManager.exportPresets, filePath, names),
+  getHighlightRules: () => wrapMethod('getHighlightRules', adbManager.getHighlightRules),
+  saveHighlightRules: (rules) => wrapMethod('saveHighlightRules', adbManager.saveHighlightRules, rules),
+  getWorkspace: () => wrapMethod('getWorkspace', adbManager.getWorkspace),
+  saveWorkspace: (workspace) => wrapMethod('saveWorkspace', adbManager.saveWorkspace, workspace),
+  startLogcat: (deviceId, filters, options, handlers) => {
+    logger.info('调用startLogcat:', { deviceId, filters, options })
     try {
-      const process = adbManager.startLogcat(deviceId, filters)
+      const session = adbManager.startLogcat(deviceId, filters, options, handlers)
       return {
         success: true,
-        data: process
+        data: session
       }
     } catch (error) {
       logger.error('startLogcat失败:', error)
@@ -248,7 +1256,149 @@ window.adb = {
       }
     }
   },
-  clearLogcat: (deviceId) => wrapMethod('clearLogcat', adbManager.clearLogcat, deviceId)
+  clearLogcat: (deviceId) => wrapMethod('clearLogcat', adbManager.clearLogcat, deviceId),
+  getBufferSizes: (deviceId, buffers) => wrapMethod('getBufferSizes', adbManager.getBufferSizes, deviceId, buffers),
+  setBufferSize: (deviceId, size, buffers) => wrapMethod('setBufferSize', adbManager.setBufferSize, deviceId, size, buffers),
+  getPackagePids: (deviceId, packageName) => wrapMethod('getPackagePids', adbManager.getPackagePids, deviceId, packageName),
+  getProcessMap: (deviceId) => wrapMethod('getProcessMap', adbManager.getProcessMap, deviceId),
+  watchDevices: (listener) => {
+    logger.info('调用watchDevices')
+    try {
+      return {
+        success: true,
+        data: adbManager.subscribeDevices(listener)
+      }
+    } catch (error) {
+      logger.error('watchDevices失败:', error)
+      return {
+        success: false,
+        error: error.message
+      }
+    }
+  },
+  watchProcesses: (deviceId, listener) => {
+    logger.info('调用watchProcesses:', { deviceId })
+    try {
+      return {
+        success: true,
+        data: adbManager.subscribeProcesses(deviceId, listener)
+      }
+    } catch (error) {
+      logger.error('watchProcesses失败:', error)
+      return {
+        success: false,
+        error: error.message
+      }
+    }
+  },
+  watchPackage: (deviceId, packageName, listener) => {
+    logger.info('调用watchPackage:', { deviceId, packageName })
+    try {
+      return {
+        success: true,
+        data: adbManager.watchPackage(deviceId, packageName, listener)
+      }
+    } catch (error) {
+      logger.error('watchPackage失败:', error)
+      return {
+        success: false,
+        error: error.message
+      }
+    }
+  }
+}
+
+// 日志文件写入器：以流的方式分块写入，写缓冲满时等待 drain，避免在内存中拼接超大字符串
+const createLogFileWriter = (filePath) => {
+  const stream = fs.createWriteStream(filePath, { encoding: 'utf8' })
+  let streamError = null
+  stream.on('error', (error) => {
+    streamError = error
+    logger.error('写入文件失败:', error)
+  })
+
+  return {
+    write: (text) => new Promise((resolve, reject) => {
+      if (streamError) {
+        reject(streamError)
+        return
+      }
+      if (stream.write(text)) {
+        resolve()
+        return
+      }
+      const onDrain = () => {
+        stream.off('error', onError)
+        resolve()
+      }
+      const onError = (error) => {
+        stream.off('drain', onDrain)
+        reject(error)
+      }
+      stream.once('drain', onDrain)
+      stream.once('error', onError)
+    }),
+    end: () => new Promise((resolve, reject) => {
+      if (streamError) {
+        reject(streamError)
+        return
+      }
+      stream.end((error) => {
+        if (error) {
+          reject(error)
+        } else {
+          logger.info('文件写入完成:', filePath)
+          resolve()
+        }
+      })
+    }),
+    // 导出失败或取消时关闭流并删除不完整的文件
+    abort: () => {
+      stream.destroy()
+      fs.unlink(filePath, () => {})
+    }
+  }
+}
+
+// 分块读取日志文件，onChunk(text, bytesRead, totalBytes) 返回 Promise 时等待其完成再读下一块，
+// 返回 false 时停止读取
+const readLogFile = async (filePath, onChunk) => {
+  const { size } = await fs.promises.stat(filePath)
+  logger.info('开始读取日志文件:', filePath, size)
+  const stream = fs.createReadStream(filePath, { encoding: 'utf8', highWaterMark: READ_CHUNK_SIZE })
+  try {
+    for await (const chunk of stream) {
+      if (await onChunk(chunk, stream.bytesRead, size) === false) {
+        logger.info('已取消读取日志文件:', filePath)
+        return { size, completed: false }
+      }
+    }
+  } finally {
+    stream.destroy()
+  }
+  return { size, completed: true }
+}
+
+// 将日志文件相关的功能暴露给渲染进程
+logger.info('设置window.logFile')
+window.logFile = {
+  getDefaultPath: (fileName) => path.join(utools.getPath('downloads'), fileName),
+  readFile: (filePath, onChunk) => wrapMethod('readFile', readLogFile, filePath, onChunk),
+  createWriter: (filePath) => {
+    logger.info('调用createWriter:', filePath)
+    try {
+      return {
+        success: true,
+        data: createLogFileWriter(filePath)
+      }
+    } catch (error) {
+      logger.error('createWriter失败:', error)
+      return {
+        success: false,
+        error: error.message
+      }
+    }
+  }
 }
 
 // 标记初始化完成
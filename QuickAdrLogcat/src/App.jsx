@@ -1,5 +1,5 @@
 import { useEffect, useState } from 'react'
-import LogcatViewer from './components/LogcatViewer'
+import LogcatTabs from './components/LogcatTabs'
 
 export default function App () {
   const [enterAction, setEnterAction] = useState({})
@@ -10,5 +10,5 @@ export default function App () {
     })
   }, [])
 
-  return <LogcatViewer />
+  return <LogcatTabs enterAction={enterAction} />
 }
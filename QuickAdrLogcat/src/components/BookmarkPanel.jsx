@@ -0,0 +1,70 @@
+import { Drawer, List, Tag, Button, Typography, Empty } from 'antd'
+import { DeleteOutlined } from '@ant-design/icons'
+import { LogLevels } from './LogcatViewer'
+
+// 书签列表：点击跳转到对应的日志，可编辑备注或删除
+// bookmarks 为 Worker 推送的 [{ seq, note, timestamp, level, tag, message }]，按日志顺序排列
+export default function BookmarkPanel ({ open, bookmarks, onClose, onJump, onNoteChange, onRemove }) {
+  return (
+    <Drawer
+      title={`书签 (${bookmarks.length})`}
+      open={open}
+      onClose={onClose}
+      width={420}
+      mask={false}
+    >
+      <div style={{ color: '#888', fontSize: 12, marginBottom: 12 }}>
+        点击日志行左侧的星标添加书签。导出为 JSON Lines 时书签和备注会一起保存，打开该文件即可恢复。
+      </div>
+      {bookmarks.length === 0 ? (
+        <Empty description="暂无书签" />
+      ) : (
+        <List
+          size="small"
+          dataSource={bookmarks}
+          rowKey="seq"
+          renderItem={item => (
+            <List.Item
+              style={{ cursor: 'pointer', display: 'block' }}
+              onClick={() => onJump(item.seq)}
+            >
+              <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                {item.level && (
+                  <Tag color={LogLevels[item.level]?.color} style={{ marginInlineEnd: 0 }}>{item.level}</Tag>
+                )}
+                <span style={{ color: '#888', fontSize: 12 }}>{item.timestamp}</span>
+                <span style={{ fontWeight: 600, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{item.tag}</span>
+                <Button
+                  size="small"
+                  type="text"
+                  danger
+                  icon={<DeleteOutlined />}
+                  style={{ marginLeft: 'auto' }}
+                  onClick={(e) => {
+                    e.stopPropagation()
+                    onRemove(item.seq)
+                  }}
+                />
+              </div>
+              <div style={{ fontFamily: 'monospace', fontSize: 12, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                {item.message}
+              </div>
+              <div onClick={e => e.stopPropagation()}>
+                <Typography.Text
+                  type={item.note ? undefined : 'secondary'}
+                  editable={{
+                    text: item.note,
+                    tooltip: '编辑备注',
+                    onChange: note => onNoteChange(item.seq, note.trim())
+                  }}
+                >
+                  {item.note || '添加备注'}
+                </Typography.Text>
+              </div>
+            </List.Item>
+          )}
+        />
+      )}
+    </Drawer>
+  )
+}
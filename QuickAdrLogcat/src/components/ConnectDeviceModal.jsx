@@ -0,0 +1,269 @@
+import { useEffect, useState } from 'react'
+import { Modal, Tabs, Input, InputNumber, Button, Space, List, Select, Tag, Alert, AutoComplete, message } from 'antd'
+import { DeleteOutlined, ReloadOutlined } from '@ant-design/icons'
+
+// mDNS 服务类型的显示名称
+const ServiceTypes = {
+  pairing: { text: '待配对', color: 'orange' },
+  connect: { text: '可连接', color: 'green' },
+  legacy: { text: 'tcpip', color: 'blue' }
+}
+
+// 无线调试：配对、连接/断开、USB 设备切换到 TCP 模式以及 mDNS 发现
+// devices 为当前的设备列表，用于显示已连接的 TCP 设备和可切换的 USB 设备
+export default function ConnectDeviceModal ({ open, onClose, devices }) {
+  const [address, setAddress] = useState('')
+  const [pairAddress, setPairAddress] = useState('')
+  const [pairCode, setPairCode] = useState('')
+  const [recentEndpoints, setRecentEndpoints] = useState([])
+  const [services, setServices] = useState(null)
+  const [usbDevice, setUsbDevice] = useState()
+  const [tcpipPort, setTcpipPort] = useState(5555)
+  const [activeTab, setActiveTab] = useState('connect')
+  // 正在执行的操作，用于按钮的加载状态
+  const [busy, setBusy] = useState('')
+  const [error, setError] = useState('')
+  const [messageApi, contextHolder] = message.useMessage()
+
+  const tcpDevices = devices.filter(device => device.transport === 'tcp')
+  const usbDevices = devices.filter(device => device.transport === 'usb' && device.state === 'device')
+
+  const loadRecentEndpoints = async () => {
+    const result = await window.adb.getRecentEndpoints()
+    if (result.success) {
+      setRecentEndpoints(result.data)
+    }
+  }
+
+  useEffect(() => {
+    if (open) {
+      setError('')
+      loadRecentEndpoints()
+    }
+  }, [open])
+
+  // 执行一个 adb 操作，统一处理加载状态和错误提示
+  const run = async (name, action) => {
+    setBusy(name)
+    setError('')
+    try {
+      const result = await action()
+      if (!result.success) {
+        setError(result.error)
+        return null
+      }
+      return result
+    } finally {
+      setBusy('')
+    }
+  }
+
+  const connect = async (target = address) => {
+    const result = await run('connect', () => window.adb.connectDevice(target.trim()))
+    if (result) {
+      messageApi.success(result.data)
+      loadRecentEndpoints()
+    }
+  }
+
+  const disconnect = async (target) => {
+    const result = await run(`disconnect:${target}`, () => window.adb.disconnectDevice(target))
+    if (result) {
+      messageApi.success(`已断开 ${target}`)
+    }
+  }
+
+  const pair = async () => {
+    const result = await run('pair', () => window.adb.pairDevice(pairAddress.trim(), pairCode.trim()))
+    if (result) {
+      messageApi.success('配对成功，请在连接页填写设备“无线调试”页面显示的 IP 地址和端口')
+      setPairCode('')
+      setActiveTab('connect')
+    }
+  }
+
+  const discover = async () => {
+    const result = await run('discover', () => window.adb.discoverMdnsServices())
+    if (result) {
+      setServices(result.data)
+    }
+  }
+
+  const enableTcpip = async () => {
+    const result = await run('tcpip', () => window.adb.enableTcpip(usbDevice, tcpipPort))
+    if (result) {
+      const { ip, port } = result.data
+      messageApi.success(`设备已在端口 ${port} 监听，可以拔掉 USB 线后连接`)
+      if (ip) {
+        setAddress(`${ip}:${port}`)
+        setActiveTab('connect')
+      }
+    }
+  }
+
+  const removeRecent = async (target) => {
+    const result = await window.adb.removeRecentEndpoint(target)
+    if (result.success) {
+      setRecentEndpoints(result.data)
+    }
+  }
+
+  // 发现的服务：配对服务填入配对页，连接服务直接连接
+  const applyService = (service) => {
+    if (service.type === 'pairing') {
+      setPairAddress(service.address)
+      setActiveTab('pair')
+    } else {
+      connect(service.address)
+    }
+  }
+
+  const items = [
+    {
+      key: 'connect',
+      label: '连接',
+      children: (
+        <Space direction="vertical" style={{ width: '100%' }}>
+          <Space.Compact style={{ width: '100%' }}>
+            <AutoComplete
+              style={{ flex: 1 }}
+              value={address}
+              onChange={setAddress}
+              options={recentEndpoints.map(item => ({ value: item.address }))}
+              placeholder="设备地址，如 192.168.1.5:5555"
+            />
+            <Button type="primary" loading={busy === 'connect'} disabled={!address.trim()} onClick={() => connect()}>
+              连接
+            </Button>
+          </Space.Compact>
+          <List
+            size="small"
+            header="已连接的无线设备"
+            locale={{ emptyText: '暂无' }}
+            dataSource={tcpDevices}
+            renderItem={device => (
+              <List.Item
+                actions={[
+                  <Button key="disconnect" size="small" loading={busy === `disconnect:${device.value}`} onClick={() => disconnect(device.value)}>
+                    断开
+                  </Button>
+                ]}
+              >
+                {device.label}
+              </List.Item>
+            )}
+          />
+          <List
+            size="small"
+            header="最近连接"
+            locale={{ emptyText: '暂无' }}
+            dataSource={recentEndpoints}
+            renderItem={item => (
+              <List.Item
+                actions={[
+                  <Button key="connect" size="small" onClick={() => connect(item.address)}>连接</Button>,
+                  <Button key="remove" size="small" type="text" icon={<DeleteOutlined />} onClick={() => removeRecent(item.address)} />
+                ]}
+              >
+                {item.address}
+              </List.Item>
+            )}
+          />
+        </Space>
+      )
+    },
+    {
+      key: 'pair',
+      label: '配对',
+      children: (
+        <Space direction="vertical" style={{ width: '100%' }}>
+          <Alert
+            type="info"
+            showIcon
+            message="在设备的 开发者选项 → 无线调试 → 使用配对码配对设备 中查看配对地址和配对码（Android 11 及以上）"
+          />
+          <Input
+            value={pairAddress}
+            onChange={e => setPairAddress(e.target.value)}
+            placeholder="配对地址，如 192.168.1.5:37123"
+          />
+          <Input
+            value={pairCode}
+            onChange={e => setPairCode(e.target.value)}
+            onPressEnter={pair}
+            maxLength={6}
+            placeholder="6 位配对码"
+          />
+          <Button type="primary" loading={busy === 'pair'} disabled={!pairAddress.trim() || !pairCode.trim()} onClick={pair}>
+            配对
+          </Button>
+        </Space>
+      )
+    },
+    {
+      key: 'discover',
+      label: '发现',
+      children: (
+        <Space direction="vertical" style={{ width: '100%' }}>
+          <Button icon={<ReloadOutlined />} loading={busy === 'discover'} onClick={discover}>
+            扫描局域网设备
+          </Button>
+          <List
+            size="small"
+            locale={{ emptyText: services ? '未发现设备，请确认设备已开启无线调试且与电脑在同一网络' : '点击扫描查找开启了无线调试的设备' }}
+            dataSource={services || []}
+            renderItem={service => (
+              <List.Item
+                actions={[
+                  <Button key="use" size="small" onClick={() => applyService(service)}>
+                    {service.type === 'pairing' ? '配对' : '连接'}
+                  </Button>
+                ]}
+              >
+                <Space>
+                  <Tag color={ServiceTypes[service.type].color}>{ServiceTypes[service.type].text}</Tag>
+                  <span>{service.name}</span>
+                  <span style={{ color: '#888' }}>{service.address}</span>
+                </Space>
+              </List.Item>
+            )}
+          />
+        </Space>
+      )
+    },
+    {
+      key: 'tcpip',
+      label: 'USB 转无线',
+      children: (
+        <Space direction="vertical" style={{ width: '100%' }}>
+          <Alert
+            type="info"
+            showIcon
+            message="通过 USB 连接的设备执行 adb tcpip 后，可拔掉数据线通过 Wi-Fi 连接（设备需与电脑在同一网络）"
+          />
+          <Space.Compact style={{ width: '100%' }}>
+            <Select
+              style={{ flex: 1 }}
+              value={usbDevice}
+              onChange={setUsbDevice}
+              options={usbDevices.map(device => ({ value: device.value, label: device.label }))}
+              placeholder="选择 USB 设备"
+            />
+            <InputNumber min={1} max={65535} value={tcpipPort} onChange={setTcpipPort} />
+            <Button type="primary" loading={busy === 'tcpip'} disabled={!usbDevice || !tcpipPort} onClick={enableTcpip}>
+              开启
+            </Button>
+          </Space.Compact>
+        </Space>
+      )
+    }
+  ]
+
+  return (
+    <Modal title="无线调试" open={open} onCancel={onClose} footer={null} width={560}>
+      {contextHolder}
+      <Tabs activeKey={activeTab} onChange={setActiveTab} items={items} />
+      {error && <Alert type="error" showIcon message={error} style={{ marginTop: 8 }} />}
+    </Modal>
+  )
+}
@@ -0,0 +1,77 @@
+import { Drawer, List, Tag, Space, Empty, Typography } from 'antd'
+
+export const CrashTypes = {
+  java: { label: 'Java 崩溃', color: 'red' },
+  anr: { label: 'ANR', color: 'orange' },
+  native: { label: 'Native 崩溃', color: 'purple' }
+}
+
+// 列表中每条崩溃显示的栈帧数
+const VISIBLE_FRAMES = 3
+
+// 崩溃面板：Worker 检测到的崩溃按时间倒序显示，点击跳转到崩溃开始的日志行
+// crashes 为 Worker 推送的崩溃记录，结构见 workers/crashDetector.js
+export default function CrashPanel ({ open, crashes, onClose, onJump }) {
+  const counts = Object.keys(CrashTypes).map(type => ({
+    type,
+    count: crashes.filter(crash => crash.type === type).length
+  }))
+
+  return (
+    <Drawer
+      title={`崩溃 (${crashes.length})`}
+      open={open}
+      onClose={onClose}
+      width={520}
+      mask={false}
+    >
+      <Space style={{ marginBottom: 12 }}>
+        {counts.map(({ type, count }) => (
+          <Tag key={type} color={count > 0 ? CrashTypes[type].color : undefined}>
+            {CrashTypes[type].label} {count}
+          </Tag>
+        ))}
+      </Space>
+      {crashes.length === 0 ? (
+        <Empty description="暂未检测到崩溃" />
+      ) : (
+        <List
+          size="small"
+          dataSource={[...crashes].reverse()}
+          rowKey="id"
+          renderItem={crash => (
+            <List.Item
+              style={{ cursor: 'pointer', display: 'block' }}
+              onClick={() => onJump(crash.seq)}
+            >
+              <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                <Tag color={CrashTypes[crash.type].color} style={{ marginInlineEnd: 0 }}>{CrashTypes[crash.type].label}</Tag>
+                <span style={{ fontWeight: 600, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                  {crash.process || `PID ${crash.pid}`}
+                </span>
+                <span style={{ color: '#888', fontSize: 12, marginLeft: 'auto', flexShrink: 0 }}>{crash.timestamp}</span>
+              </div>
+              <Typography.Text strong type="danger" style={{ fontFamily: 'monospace', fontSize: 12 }}>
+                {crash.exception}
+              </Typography.Text>
+              {crash.message && (
+                <span style={{ fontFamily: 'monospace', fontSize: 12 }}>: {crash.message}</span>
+              )}
+              {crash.cause && (
+                <div style={{ fontFamily: 'monospace', fontSize: 12 }}>Caused by: {crash.cause}</div>
+              )}
+              {crash.frames.slice(0, VISIBLE_FRAMES).map((frame, index) => (
+                <div
+                  key={index}
+                  style={{ fontFamily: 'monospace', fontSize: 12, color: '#888', paddingLeft: 16, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}
+                >
+                  {frame}
+                </div>
+              ))}
+            </List.Item>
+          )}
+        />
+      )}
+    </Drawer>
+  )
+}
@@ -0,0 +1,137 @@
+import { useEffect, useState } from 'react'
+import { Modal, Button, Input, Select, Switch, Checkbox, ColorPicker, Space, Tooltip, Empty } from 'antd'
+import { PlusOutlined, DeleteOutlined, ArrowUpOutlined, ArrowDownOutlined } from '@ant-design/icons'
+import { HighlightTargets, createHighlightRule, validateHighlightRule } from '../utils/highlight'
+
+// 高亮规则设置：编辑规则列表，确定后通过 onSave(rules) 保存；规则按顺序匹配，靠前的优先
+export default function HighlightRulesModal ({ open, rules, onSave, onClose }) {
+  const [draft, setDraft] = useState([])
+
+  useEffect(() => {
+    if (open) {
+      setDraft(rules.map(rule => ({ ...rule })))
+    }
+  }, [open])
+
+  const updateRule = (id, changes) => {
+    setDraft(prev => prev.map(rule => rule.id === id ? { ...rule, ...changes } : rule))
+  }
+
+  const moveRule = (index, offset) => {
+    setDraft(prev => {
+      const next = [...prev]
+      const [rule] = next.splice(index, 1)
+      next.splice(index + offset, 0, rule)
+      return next
+    })
+  }
+
+  const errors = draft.map(validateHighlightRule)
+  const hasError = errors.some((error, index) => error && draft[index].enabled)
+
+  return (
+    <Modal
+      title="高亮规则"
+      open={open}
+      width={860}
+      onOk={() => onSave(draft)}
+      okButtonProps={{ disabled: hasError }}
+      onCancel={onClose}
+    >
+      <div style={{ color: '#888', fontSize: 12, marginBottom: 12 }}>
+        条件使用搜索语法（如 tag:Payment、pid:1234、level&gt;=E），正则用于匹配消息内容。整行规则给满足条件的行着色，匹配片段规则只给消息中匹配的部分着色。
+      </div>
+      {draft.length === 0 && <Empty description="暂无高亮规则" />}
+      <Space direction="vertical" style={{ width: '100%' }}>
+        {draft.map((rule, index) => (
+          <div key={rule.id}>
+            <Space wrap>
+              <Switch size="small" checked={rule.enabled} onChange={enabled => updateRule(rule.id, { enabled })} />
+              <Input
+                style={{ width: 110 }}
+                value={rule.name}
+                onChange={e => updateRule(rule.id, { name: e.target.value })}
+                placeholder="名称"
+              />
+              <Input
+                style={{ width: 180 }}
+                value={rule.condition}
+                onChange={e => updateRule(rule.id, { condition: e.target.value })}
+                placeholder="条件，如 tag:Payment"
+              />
+              <Input
+                style={{ width: 160 }}
+                value={rule.pattern}
+                onChange={e => updateRule(rule.id, { pattern: e.target.value })}
+                placeholder="正则，如 req-[0-9a-f]+"
+                suffix={
+                  <Tooltip title={rule.ignoreCase ? '不区分大小写' : '区分大小写'}>
+                    <Button
+                      size="small"
+                      type={rule.ignoreCase ? 'text' : 'primary'}
+                      onClick={() => updateRule(rule.id, { ignoreCase: !rule.ignoreCase })}
+                    >
+                      Aa
+                    </Button>
+                  </Tooltip>
+                }
+              />
+              <Select
+                style={{ width: 100 }}
+                value={rule.target}
+                onChange={target => updateRule(rule.id, { target })}
+                options={Object.entries(HighlightTargets).map(([value, label]) => ({ value, label }))}
+              />
+              <Tooltip title="背景色">
+                <ColorPicker
+                  size="small"
+                  allowClear
+                  value={rule.background || null}
+                  onChange={color => updateRule(rule.id, { background: color.toHexString() })}
+                  onClear={() => updateRule(rule.id, { background: '' })}
+                />
+              </Tooltip>
+              <Tooltip title="文字颜色">
+                <ColorPicker
+                  size="small"
+                  allowClear
+                  value={rule.color || null}
+                  onChange={color => updateRule(rule.id, { color: color.toHexString() })}
+                  onClear={() => updateRule(rule.id, { color: '' })}
+                />
+              </Tooltip>
+              <Checkbox checked={rule.bold} onChange={e => updateRule(rule.id, { bold: e.target.checked })}>
+                粗体
+              </Checkbox>
+              <span
+                style={{
+                  padding: '0 6px',
+                  background: rule.background || undefined,
+                  color: rule.color || undefined,
+                  fontWeight: rule.bold ? 600 : undefined
+                }}
+              >
+                示例
+              </span>
+              <Button size="small" type="text" icon={<ArrowUpOutlined />} disabled={index === 0} onClick={() => moveRule(index, -1)} />
+              <Button size="small" type="text" icon={<ArrowDownOutlined />} disabled={index === draft.length - 1} onClick={() => moveRule(index, 1)} />
+              <Button
+                size="small"
+                type="text"
+                danger
+                icon={<DeleteOutlined />}
+                onClick={() => setDraft(prev => prev.filter(r => r.id !== rule.id))}
+              />
+            </Space>
+            {errors[index] && (
+              <div style={{ color: '#ff4d4f', fontSize: 12, marginTop: 4 }}>{errors[index]}</div>
+            )}
+          </div>
+        ))}
+        <Button icon={<PlusOutlined />} onClick={() => setDraft(prev => [...prev, createHighlightRule()])}>
+          添加规则
+        </Button>
+      </Space>
+    </Modal>
+  )
+}
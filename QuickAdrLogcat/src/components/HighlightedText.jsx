@@ -0,0 +1,12 @@
+import { highlightText } from '../utils/highlight'
+
+// 按高亮规则渲染消息文本，匹配的片段使用规则的样式
+export default function HighlightedText ({ rules, record, text }) {
+  const segments = rules.length > 0 ? highlightText(rules, record, text) : null
+  if (!segments) {
+    return text
+  }
+  return segments.map((segment, index) => segment.style
+    ? <span key={index} style={{ ...segment.style, borderRadius: 2 }}>{segment.text}</span>
+    : segment.text)
+}
@@ -0,0 +1,72 @@
+import { useMemo } from 'react'
+import { Drawer, Descriptions, Tag, Button, Space, Empty } from 'antd'
+import { CopyOutlined } from '@ant-design/icons'
+import { extractStructured } from '../utils/structuredText'
+import { LogLevels } from './LogcatViewer'
+
+const preStyle = {
+  margin: 0,
+  padding: 8,
+  fontFamily: 'monospace',
+  fontSize: 12,
+  whiteSpace: 'pre-wrap',
+  wordBreak: 'break-all',
+  background: 'rgba(128, 128, 128, 0.08)',
+  borderRadius: 4
+}
+
+// 日志详情：显示选中日志的全部字段和完整消息，消息中的 JSON/XML 格式化显示
+// onCopy(kind) 由父组件执行复制，kind 为 line（原始行）、message（仅消息）或 selection（Shift 点击选中的多行）
+export default function LogDetailDrawer ({ open, entry, multiSelected, onClose, onCopy }) {
+  const blocks = useMemo(() => entry ? extractStructured(entry.message) : [], [entry])
+
+  const fields = entry
+    ? [
+        { label: '时间', value: entry.timestamp },
+        { label: '缓冲区', value: entry.buffer },
+        { label: '应用', value: entry.processName },
+        { label: 'UID', value: entry.uid },
+        { label: 'PID', value: entry.pid },
+        { label: 'TID', value: entry.tid },
+        {
+          label: '级别',
+          value: entry.level && <Tag color={LogLevels[entry.level]?.color}>{LogLevels[entry.level]?.text}</Tag>
+        },
+        { label: '标签', value: entry.tag },
+        { label: '书签', value: entry.bookmark }
+      ].filter(field => field.value)
+    : []
+
+  return (
+    <Drawer
+      title="日志详情"
+      open={open}
+      onClose={onClose}
+      width={520}
+      mask={false}
+      extra={
+        <Space.Compact>
+          <Button icon={<CopyOutlined />} disabled={!entry} onClick={() => onCopy('line')}>原始行</Button>
+          <Button disabled={!entry} onClick={() => onCopy('message')}>消息</Button>
+          <Button disabled={!multiSelected} onClick={() => onCopy('selection')}>选中的行</Button>
+        </Space.Compact>
+      }
+    >
+      {!entry ? (
+        <Empty description="日志已被淘汰或清除" />
+      ) : (
+        <>
+          <Descriptions column={2} size="small" bordered items={fields.map(({ label, value }) => ({ key: label, label, children: value }))} />
+          <div style={{ fontWeight: 600, margin: '16px 0 8px' }}>消息</div>
+          <pre style={preStyle}>{entry.message}</pre>
+          {blocks.map((block, index) => (
+            <div key={index}>
+              <div style={{ fontWeight: 600, margin: '16px 0 8px' }}>{block.type === 'json' ? 'JSON' : 'XML'}</div>
+              <pre style={preStyle}>{block.text}</pre>
+            </div>
+          ))}
+        </>
+      )}
+    </Drawer>
+  )
+}
@@ -0,0 +1,124 @@
+import { Button, Tooltip, Empty } from 'antd'
+import { PlusOutlined, MinusOutlined } from '@ant-design/icons'
+import { LogLevels } from './LogcatViewer'
+
+const sectionTitleStyle = { fontWeight: 600, fontSize: 12, marginBottom: 6 }
+const rowStyle = { display: 'flex', alignItems: 'center', gap: 6, fontSize: 12, height: 20 }
+
+const formatTime = (ms) => new Date(ms).toLocaleTimeString([], { hour12: false })
+
+// 条数列表：背景条按比例显示条数，每行带"只看"和"排除"按钮
+function CountList ({ items, max, label, onFilter }) {
+  return items.map(item => (
+    <div key={label(item)} style={{ ...rowStyle, position: 'relative' }}>
+      <div
+        style={{
+          position: 'absolute',
+          left: 0,
+          top: 2,
+          bottom: 2,
+          width: `${item.count / max * 100}%`,
+          background: 'rgba(22, 119, 255, 0.12)',
+          borderRadius: 2
+        }}
+      />
+      <span style={{ flex: 1, minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', position: 'relative' }}>
+        {label(item) || '(空)'}
+      </span>
+      <span style={{ color: '#888', position: 'relative' }}>{item.count}</span>
+      <Tooltip title="只看">
+        <Button size="small" type="text" icon={<PlusOutlined />} onClick={() => onFilter(item, false)} />
+      </Tooltip>
+      <Tooltip title="排除">
+        <Button size="small" type="text" icon={<MinusOutlined />} onClick={() => onFilter(item, true)} />
+      </Tooltip>
+    </div>
+  ))
+}
+
+// 统计面板：级别分布、条数最多的标签和进程、每秒日志数的时间线
+// stats 为 Worker 推送的统计摘要，结构见 workers/logStats.js；onFilter(field, value, exclude) 添加过滤条件，
+// onJumpToTime(ms) 跳转到时间线上点击的时刻
+export default function LogStatsDashboard ({ stats, onFilter, onJumpToTime }) {
+  if (!stats || stats.total === 0) {
+    return <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="暂无统计数据" style={{ margin: '8px 0' }} />
+  }
+
+  const maxBar = Math.max(1, ...stats.bars.map(bar => bar.total))
+  const barSeconds = stats.bars.length > 0 ? stats.bars[0].duration / 1000 : 1
+
+  return (
+    <div style={{ display: 'flex', gap: 24, height: 200 }}>
+      <div style={{ width: 160, flexShrink: 0 }}>
+        <div style={sectionTitleStyle}>级别分布 · 共 {stats.total} 条</div>
+        {Object.keys(LogLevels).map(level => {
+          const count = stats.levels[level] || 0
+          return (
+            <div key={level} style={rowStyle}>
+              <span style={{ width: 56, color: LogLevels[level].color }}>{LogLevels[level].text}</span>
+              <div style={{ flex: 1, height: 8, background: 'rgba(128, 128, 128, 0.1)', borderRadius: 2 }}>
+                <div style={{ width: `${count / stats.total * 100}%`, height: '100%', background: LogLevels[level].color, borderRadius: 2 }} />
+              </div>
+              <span style={{ width: 48, textAlign: 'right', color: '#888' }}>{count}</span>
+            </div>
+          )
+        })}
+      </div>
+      <div style={{ width: 240, flexShrink: 0, overflowY: 'auto' }}>
+        <div style={sectionTitleStyle}>最多的标签</div>
+        <CountList
+          items={stats.tags}
+          max={stats.tags.length > 0 ? stats.tags[0].count : 1}
+          label={item => item.tag}
+          onFilter={(item, exclude) => onFilter('tag', item.tag, exclude)}
+        />
+      </div>
+      <div style={{ width: 240, flexShrink: 0, overflowY: 'auto' }}>
+        <div style={sectionTitleStyle}>最多的进程</div>
+        <CountList
+          items={stats.pids}
+          max={stats.pids.length > 0 ? stats.pids[0].count : 1}
+          label={item => item.name ? `${item.name} (${item.pid})` : item.pid}
+          onFilter={(item, exclude) => onFilter('pid', item.pid, exclude)}
+        />
+      </div>
+      <div style={{ flex: 1, minWidth: 0, display: 'flex', flexDirection: 'column' }}>
+        <div style={sectionTitleStyle}>
+          时间线 · 每柱 {barSeconds} 秒 · 峰值 {stats.peakRate} 条/秒（点击跳转）
+        </div>
+        <div style={{ flex: 1, display: 'flex', alignItems: 'flex-end', gap: 1, minHeight: 0 }}>
+          {stats.bars.map(bar => (
+            <Tooltip
+              key={bar.time}
+              title={`${formatTime(bar.time)} · ${bar.total} 条 · 错误 ${bar.errors} · 警告 ${bar.warnings}`}
+            >
+              <div
+                onClick={() => onJumpToTime(bar.time)}
+                style={{
+                  flex: 1,
+                  height: `${bar.total / maxBar * 100}%`,
+                  minHeight: bar.total > 0 ? 2 : 0,
+                  display: 'flex',
+                  flexDirection: 'column',
+                  justifyContent: 'flex-end',
+                  background: 'rgba(22, 119, 255, 0.35)',
+                  cursor: 'pointer'
+                }}
+              >
+                {/* 错误和警告按比例叠加在柱子底部 */}
+                <div style={{ height: `${bar.warnings / Math.max(bar.total, 1) * 100}%`, background: LogLevels.W.color }} />
+                <div style={{ height: `${bar.errors / Math.max(bar.total, 1) * 100}%`, background: LogLevels.E.color }} />
+              </div>
+            </Tooltip>
+          ))}
+        </div>
+        {stats.bars.length > 0 && (
+          <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 11, color: '#888' }}>
+            <span>{formatTime(stats.bars[0].time)}</span>
+            <span>{formatTime(stats.bars[stats.bars.length - 1].time)}</span>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,177 @@
+import { forwardRef, useEffect, useImperativeHandle, useRef, useState } from 'react'
+
+// 浏览器对元素高度有上限（Chromium 约 3300 万像素），超过时按比例映射滚动位置
+const MAX_SCROLL_HEIGHT = 15000000
+// 可见区域上下额外渲染的行数
+const OVERSCAN = 20
+const HEADER_HEIGHT = 36
+
+// 虚拟滚动日志表格：只渲染可见区域附近的行，行数据由 getRow 按显示位置提供，
+// 可见区间变化时通过 onRangeChange 通知父组件去 Worker 请求对应的数据。
+// follow 为 true 时行数增加后自动滚动到底部；用户向上滚动离开底部或滚回底部时通过 onFollowChange 通知。
+// 通过 ref 暴露 scrollToRow(index) 用于跳转到指定行
+const LogTable = forwardRef(function LogTable ({
+  columns,
+  rowCount,
+  rowHeight = 32,
+  getRow,
+  onRangeChange,
+  onRowClick,
+  onRowContextMenu,
+  rowStyle,
+  follow = false,
+  onFollowChange
+}, ref) {
+  const containerRef = useRef(null)
+  const [scrollTop, setScrollTop] = useState(0)
+  const [viewportHeight, setViewportHeight] = useState(0)
+  const rangeRef = useRef({ start: -1, end: -1 })
+
+  const contentHeight = rowCount * rowHeight
+  const scrollHeight = Math.min(contentHeight, MAX_SCROLL_HEIGHT)
+  const bodyHeight = Math.max(viewportHeight - HEADER_HEIGHT, 0)
+  // 滚动条位置到内容位置的映射比例，内容未超过上限时为 1
+  const scale = contentHeight > scrollHeight && scrollHeight > bodyHeight
+    ? (contentHeight - bodyHeight) / (scrollHeight - bodyHeight)
+    : 1
+  const virtualTop = scrollTop * scale
+
+  const start = Math.max(0, Math.floor(virtualTop / rowHeight) - OVERSCAN)
+  const end = Math.min(rowCount, Math.ceil((virtualTop + bodyHeight) / rowHeight) + OVERSCAN)
+
+  useEffect(() => {
+    const container = containerRef.current
+    const observer = new ResizeObserver(() => setViewportHeight(container.clientHeight))
+    observer.observe(container)
+    setViewportHeight(container.clientHeight)
+    return () => observer.disconnect()
+  }, [])
+
+  useEffect(() => {
+    if (rangeRef.current.start !== start || rangeRef.current.end !== end) {
+      rangeRef.current = { start, end }
+      onRangeChange(start, end)
+    }
+  }, [start, end])
+
+  // 行数减少（如清空或切换过滤条件）后滚动位置可能超出内容
+  useEffect(() => {
+    const container = containerRef.current
+    if (container && container.scrollTop > Math.max(scrollHeight - bodyHeight, 0)) {
+      container.scrollTop = Math.max(scrollHeight - bodyHeight, 0)
+    }
+  }, [scrollHeight, bodyHeight])
+
+  // 跟随最新日志：行数或可视高度变化后滚动到底部
+  useEffect(() => {
+    const container = containerRef.current
+    if (follow && container) {
+      container.scrollTop = container.scrollHeight
+    }
+  }, [follow, rowCount, bodyHeight])
+
+  useImperativeHandle(ref, () => ({
+    // 滚动使指定行位于可视区域中间
+    scrollToRow: (index) => {
+      const container = containerRef.current
+      if (container) {
+        container.scrollTop = Math.max(index * rowHeight - (bodyHeight - rowHeight) / 2, 0) / scale
+      }
+    }
+  }), [rowHeight, bodyHeight, scale])
+
+  const handleScroll = (e) => {
+    const container = e.currentTarget
+    setScrollTop(container.scrollTop)
+    if (!onFollowChange) {
+      return
+    }
+    // 自动滚动只会停在底部，离开底部一定是用户操作
+    const atBottom = container.scrollTop + container.clientHeight >= container.scrollHeight - rowHeight / 2
+    if (follow !== atBottom) {
+      onFollowChange(atBottom)
+    }
+  }
+
+  const cellStyle = (col) => ({
+    flex: col.width ? `0 0 ${col.width}px` : '1 1 0',
+    minWidth: 0,
+    padding: '0 8px',
+    overflow: 'hidden',
+    whiteSpace: 'nowrap',
+    textOverflow: 'ellipsis'
+  })
+
+  const rows = []
+  for (let index = start; index < end; index++) {
+    const record = getRow(index)
+    const top = index * rowHeight - virtualTop
+    if (!record) {
+      continue
+    }
+    rows.push(
+      <div
+        key={record.key}
+        onClick={(event) => onRowClick && onRowClick(record, event)}
+        onContextMenu={(event) => onRowContextMenu && onRowContextMenu(record, event)}
+        style={{
+          position: 'absolute',
+          top,
+          left: 0,
+          right: 0,
+          height: rowHeight,
+          display: 'flex',
+          alignItems: 'center',
+          borderBottom: '1px solid rgba(128, 128, 128, 0.15)',
+          cursor: 'pointer',
+          fontSize: 13,
+          ...(rowStyle ? rowStyle(record) : null)
+        }}
+      >
+        {columns.map(col => (
+          <div key={col.key} style={cellStyle(col)}>
+            {/* 展开的续行只显示消息列 */}
+            {record.continuation && col.dataIndex !== 'message'
+              ? null
+              : col.render ? col.render(record[col.dataIndex], record) : record[col.dataIndex]}
+          </div>
+        ))}
+      </div>
+    )
+  }
+
+  return (
+    <div
+      ref={containerRef}
+      onScroll={handleScroll}
+      style={{ height: '100%', overflow: 'auto', position: 'relative' }}
+    >
+      <div
+        style={{
+          position: 'sticky',
+          top: 0,
+          zIndex: 1,
+          height: HEADER_HEIGHT,
+          display: 'flex',
+          alignItems: 'center',
+          fontWeight: 600,
+          fontSize: 13,
+          background: 'rgba(128, 128, 128, 0.12)',
+          backdropFilter: 'blur(8px)'
+        }}
+      >
+        {columns.map(col => (
+          <div key={col.key} style={cellStyle(col)}>{col.title}</div>
+        ))}
+      </div>
+      <div style={{ height: scrollHeight, position: 'relative' }}>
+        {/* 行容器跟随滚动位置，行在其中按内容位置偏移，兼容按比例映射的超长列表 */}
+        <div style={{ position: 'absolute', top: scrollTop, left: 0, right: 0, height: Math.min(bodyHeight, scrollHeight), overflow: 'hidden' }}>
+          {rows}
+        </div>
+      </div>
+    </div>
+  )
+})
+
+export default LogTable
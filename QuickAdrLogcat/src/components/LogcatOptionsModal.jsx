@@ -0,0 +1,188 @@
+import { useEffect, useState } from 'react'
+import { Modal, Input, InputNumber, Switch, Button, Space, Table, Progress, Alert, Form, message } from 'antd'
+import { ReloadOutlined } from '@ant-design/icons'
+
+// 高级选项的默认值，字段含义见 preload 中的 LogcatOptions
+export const DefaultLogcatOptions = {
+  dump: false,
+  pid: '',
+  uid: '',
+  regex: '',
+  maxCount: null,
+  silenceOthers: false
+}
+
+const BUFFER_SIZE_REGEX = /^\d+[KM]?$/i
+
+const formatSize = (bytes) => bytes >= 1024 * 1024
+  ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+  : `${Math.round(bytes / 1024)} KB`
+
+// 校验选项，返回 { 字段: 错误信息 }
+const validateOptions = (options) => {
+  const errors = {}
+  if (options.pid && !/^\d+$/.test(options.pid)) {
+    errors.pid = 'PID 应为数字'
+  }
+  if (options.uid && !/^\d+(,\d+)*$/.test(options.uid)) {
+    errors.uid = 'UID 应为数字，多个用逗号分隔'
+  }
+  if (options.regex) {
+    try {
+      new RegExp(options.regex)
+    } catch (error) {
+      errors.regex = `正则表达式无效: ${error.message}`
+    }
+  }
+  return errors
+}
+
+// logcat 高级选项：设备端过滤（--pid、--uid、-e）、输出条数、导出模式以及缓冲区大小
+// options 为当前选项，确定后通过 onSave(options) 保存，运行中的会话会以新选项重新启动
+// deviceId 和 buffers 用于读取和调整当前设备缓冲区的大小，离线会话时 deviceId 为空
+export default function LogcatOptionsModal ({ open, options, deviceId, buffers, onSave, onClose }) {
+  const [draft, setDraft] = useState(DefaultLogcatOptions)
+  const [bufferSizes, setBufferSizes] = useState([])
+  const [newSize, setNewSize] = useState('')
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [messageApi, contextHolder] = message.useMessage()
+
+  const loadBufferSizes = async () => {
+    setLoading(true)
+    setError('')
+    const result = await window.adb.getBufferSizes(deviceId, buffers)
+    setLoading(false)
+    if (result.success) {
+      setBufferSizes(result.data)
+    } else {
+      setError(result.error)
+    }
+  }
+
+  useEffect(() => {
+    if (open) {
+      setDraft({ ...DefaultLogcatOptions, ...options })
+      setBufferSizes([])
+      if (deviceId) {
+        loadBufferSizes()
+      }
+    }
+  }, [open])
+
+  const applyBufferSize = async () => {
+    setLoading(true)
+    setError('')
+    const result = await window.adb.setBufferSize(deviceId, newSize.trim(), buffers)
+    setLoading(false)
+    if (result.success) {
+      setBufferSizes(result.data)
+      setNewSize('')
+      messageApi.success('缓冲区大小已调整')
+    } else {
+      setError(result.error)
+    }
+  }
+
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }))
+  const errors = validateOptions(draft)
+  const fieldStatus = (field) => errors[field] ? { validateStatus: 'error', help: errors[field] } : {}
+
+  return (
+    <Modal
+      title="logcat 高级选项"
+      open={open}
+      width={640}
+      onOk={() => onSave(draft)}
+      okButtonProps={{ disabled: Object.keys(errors).length > 0 }}
+      onCancel={onClose}
+    >
+      {contextHolder}
+      <Form layout="horizontal" labelCol={{ span: 6 }} wrapperCol={{ span: 18 }} size="small">
+        <Form.Item label="导出模式 (-d)" extra="输出缓冲区中已有的日志后退出，不继续监听；起始时间和最近 N 条改用 -t">
+          <Switch checked={draft.dump} onChange={dump => update({ dump })} />
+        </Form.Item>
+        <Form.Item label="最大条数 (-m)" extra="输出这么多条后退出，留空不限制">
+          <InputNumber
+            style={{ width: 160 }}
+            min={1}
+            value={draft.maxCount}
+            onChange={maxCount => update({ maxCount })}
+          />
+        </Form.Item>
+        <Form.Item label="进程 (--pid)" {...fieldStatus('pid')}>
+          <Input
+            style={{ width: 160 }}
+            value={draft.pid}
+            onChange={e => update({ pid: e.target.value.trim() })}
+            placeholder="如 1234"
+          />
+        </Form.Item>
+        <Form.Item label="UID (--uid)" extra="需要 Android 9 及以上" {...fieldStatus('uid')}>
+          <Input
+            style={{ width: 160 }}
+            value={draft.uid}
+            onChange={e => update({ uid: e.target.value.trim() })}
+            placeholder="如 10086,10087"
+          />
+        </Form.Item>
+        <Form.Item label="消息正则 (-e)" extra="在设备上过滤，只传输匹配的日志" {...fieldStatus('regex')}>
+          <Input
+            value={draft.regex}
+            onChange={e => update({ regex: e.target.value })}
+            placeholder="如 timeout|refused"
+          />
+        </Form.Item>
+        <Form.Item label="静默其他标签" extra="有标签过滤器时追加 *:S，不输出未列出的标签">
+          <Switch checked={draft.silenceOthers} onChange={silenceOthers => update({ silenceOthers })} />
+        </Form.Item>
+      </Form>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, margin: '16px 0 8px' }}>
+        <span style={{ fontWeight: 600 }}>缓冲区大小 (-g / -G)</span>
+        <Button size="small" icon={<ReloadOutlined />} onClick={loadBufferSizes} disabled={!deviceId} loading={loading} />
+      </div>
+      {!deviceId ? (
+        <Alert type="info" showIcon message="选择设备后可查看和调整缓冲区大小" />
+      ) : (
+        <>
+          <Table
+            size="small"
+            rowKey="buffer"
+            pagination={false}
+            dataSource={bufferSizes}
+            loading={loading}
+            columns={[
+              { title: '缓冲区', dataIndex: 'buffer', width: 100 },
+              { title: '容量', dataIndex: 'size', width: 100, render: formatSize },
+              { title: '已用', dataIndex: 'consumed', width: 100, render: formatSize },
+              {
+                title: '使用率',
+                render: (_, item) => (
+                  <Progress
+                    size="small"
+                    percent={Math.min(100, Math.round(item.consumed / Math.max(item.size, 1) * 100))}
+                    style={{ marginBottom: 0 }}
+                  />
+                )
+              }
+            ]}
+          />
+          <Space.Compact style={{ marginTop: 8 }}>
+            <Input
+              style={{ width: 200 }}
+              value={newSize}
+              onChange={e => setNewSize(e.target.value)}
+              status={newSize && !BUFFER_SIZE_REGEX.test(newSize.trim()) ? 'error' : ''}
+              placeholder="新大小，如 256K、16M"
+            />
+            <Button onClick={applyBufferSize} disabled={!BUFFER_SIZE_REGEX.test(newSize.trim()) || loading}>
+              调整所选缓冲区
+            </Button>
+          </Space.Compact>
+        </>
+      )}
+      {error && <Alert style={{ marginTop: 8 }} type="error" showIcon message={error} />}
+    </Modal>
+  )
+}
@@ -0,0 +1,241 @@
+import { useEffect, useRef, useState } from 'react'
+import { Tabs, Checkbox } from 'antd'
+import LogcatViewer from './LogcatViewer'
+import MergedLogView from './MergedLogView'
+
+// 合并视图所在标签页的 key
+const MERGED_TAB_KEY = 'merged'
+// 工作区变化后延迟保存，避免输入搜索条件时频繁写配置文件 (毫秒)
+const WORKSPACE_SAVE_DELAY = 1000
+
+// 把 uTools 的进入参数转换为标签页要执行的操作（见 plugin.json 中的 features）:
+// { type: 'file', filePath } 打开日志文件 | { type: 'package', packageName } 按包名开始监听 | { type: 'crashes' } 打开崩溃面板
+function getLaunchActions (action) {
+  if (action.code === 'logcat-file' && Array.isArray(action.payload)) {
+    return action.payload
+      .filter(file => file.isFile)
+      .map(file => ({ type: 'file', filePath: file.path }))
+  }
+  if (action.code === 'logcat-package' && typeof action.payload === 'string') {
+    return [{ type: 'package', packageName: action.payload.replace(/^logcat\s+/i, '').trim() }]
+  }
+  if (action.code === 'logcat-crashes') {
+    return [{ type: 'crashes' }]
+  }
+  return []
+}
+
+// 多设备标签页：每个标签页是独立的日志会话，可选的合并视图按时间交错显示所有标签页的日志
+// 标签页及其设置作为工作区保存，进入插件（enterAction 首次变化）时恢复上次的工作区
+// 从文件、包名或崩溃入口进入时，打开文件和按包名监听使用新标签页，崩溃面板在当前标签页打开
+export default function LogcatTabs ({ enterAction }) {
+  const [tabs, setTabs] = useState([{ key: '1', title: '新会话' }])
+  const [activeKey, setActiveKey] = useState('1')
+  const [mergedEnabled, setMergedEnabled] = useState(false)
+  // 高亮规则由所有标签页和合并视图共用
+  const [highlightRules, setHighlightRules] = useState([])
+  const nextKeyRef = useRef(2)
+  // 每次进入插件的操作编号，标签页据此判断操作是否已执行
+  const nextLaunchIdRef = useRef(1)
+  const mergedRef = useRef(null)
+  // 转发日志时读取标签页当前的标题作为设备名
+  const tabsRef = useRef(tabs)
+  tabsRef.current = tabs
+  // 各标签页最近上报的会话状态: key -> { device, preset, settings }
+  const tabStatesRef = useRef({})
+  // 在恢复工作区之前不保存，避免初始的空白标签页覆盖上次的工作区
+  const restoredRef = useRef(false)
+  const saveTimerRef = useRef(null)
+  const activeKeyRef = useRef(activeKey)
+  activeKeyRef.current = activeKey
+  const mergedEnabledRef = useRef(mergedEnabled)
+  mergedEnabledRef.current = mergedEnabled
+
+  // 把进入插件的操作分配到标签页，返回新的标签页列表和活动标签页
+  const addLaunches = (launches, baseTabs, baseActiveKey) => {
+    let nextTabs = baseTabs
+    let nextActiveKey = baseActiveKey
+    launches.forEach(launch => {
+      const withId = { ...launch, id: nextLaunchIdRef.current++ }
+      if (launch.type === 'crashes') {
+        // 当前是合并视图时使用第一个标签页
+        const target = nextTabs.find(tab => tab.key === nextActiveKey) || nextTabs[0]
+        nextTabs = nextTabs.map(tab => tab === target ? { ...tab, launch: withId } : tab)
+        nextActiveKey = target.key
+      } else {
+        const key = String(nextKeyRef.current++)
+        nextTabs = [...nextTabs, { key, title: '新会话', launch: withId }]
+        nextActiveKey = key
+      }
+    })
+    return { tabs: nextTabs, activeKey: nextActiveKey }
+  }
+
+  // 进入插件时恢复上次的工作区，之后再次进入不重复恢复，以免打断正在进行的会话
+  // 从文件、包名或崩溃入口进入时，在恢复的工作区之上执行对应的操作
+  useEffect(() => {
+    if (!enterAction || !enterAction.code || !window.adb) {
+      return
+    }
+    const launches = getLaunchActions(enterAction)
+    const applyLaunches = (baseTabs, baseActiveKey) => {
+      if (launches.length > 0) {
+        const next = addLaunches(launches, baseTabs, baseActiveKey)
+        setTabs(next.tabs)
+        setActiveKey(next.activeKey)
+      }
+    }
+    if (restoredRef.current) {
+      applyLaunches(tabsRef.current, activeKeyRef.current)
+      return
+    }
+    restoredRef.current = true
+    window.adb.getWorkspace().then(result => {
+      const workspace = result.success && result.data
+      if (!workspace || !workspace.tabs || workspace.tabs.length === 0) {
+        applyLaunches(tabsRef.current, activeKeyRef.current)
+        return
+      }
+      const restored = workspace.tabs.map(initialState => ({
+        key: String(nextKeyRef.current++),
+        title: initialState.device || '新会话',
+        initialState
+      }))
+      tabStatesRef.current = {}
+      setTabs(restored)
+      setMergedEnabled(!!workspace.mergedEnabled)
+      const active = restored[workspace.activeIndex] || restored[0]
+      setActiveKey(workspace.activeIndex === -1 && workspace.mergedEnabled ? MERGED_TAB_KEY : active.key)
+      applyLaunches(restored, active.key)
+    })
+  }, [enterAction])
+
+  useEffect(() => {
+    if (!window.adb) {
+      return
+    }
+    window.adb.getHighlightRules().then(result => {
+      if (result.success) {
+        setHighlightRules(result.data)
+      }
+    })
+  }, [])
+
+  const saveHighlightRules = (rules) => {
+    setHighlightRules(rules)
+    window.adb.saveHighlightRules(rules)
+  }
+
+  // 标签页或其设置变化后保存工作区
+  const scheduleSave = () => {
+    clearTimeout(saveTimerRef.current)
+    saveTimerRef.current = setTimeout(() => {
+      const current = tabsRef.current
+      window.adb.saveWorkspace({
+        tabs: current.map(tab => tabStatesRef.current[tab.key] || tab.initialState || {}),
+        activeIndex: current.findIndex(tab => tab.key === activeKeyRef.current),
+        mergedEnabled: mergedEnabledRef.current
+      })
+    }, WORKSPACE_SAVE_DELAY)
+  }
+
+  useEffect(() => {
+    if (restoredRef.current) {
+      scheduleSave()
+    }
+  }, [tabs.length, activeKey, mergedEnabled])
+
+  const updateTabState = (key, state) => {
+    tabStatesRef.current[key] = state
+    if (restoredRef.current) {
+      scheduleSave()
+    }
+  }
+
+  const addTab = () => {
+    const key = String(nextKeyRef.current++)
+    setTabs(prev => [...prev, { key, title: '新会话' }])
+    setActiveKey(key)
+  }
+
+  const removeTab = (key) => {
+    const index = tabs.findIndex(tab => tab.key === key)
+    const next = tabs.filter(tab => tab.key !== key)
+    if (next.length === 0) {
+      return
+    }
+    setTabs(next)
+    delete tabStatesRef.current[key]
+    if (activeKey === key) {
+      setActiveKey(next[Math.max(0, index - 1)].key)
+    }
+    if (mergedRef.current) {
+      mergedRef.current.removeSource(key)
+    }
+  }
+
+  const setTabTitle = (key, title) => {
+    setTabs(prev => prev.map(tab => tab.key === key ? { ...tab, title } : tab))
+  }
+
+  const toggleMerged = (checked) => {
+    setMergedEnabled(checked)
+    if (checked) {
+      setActiveKey(MERGED_TAB_KEY)
+    } else if (activeKey === MERGED_TAB_KEY) {
+      setActiveKey(tabs[0].key)
+    }
+  }
+
+  const forwardEntries = (key, entries) => {
+    const tab = tabsRef.current.find(t => t.key === key)
+    if (mergedRef.current && tab) {
+      mergedRef.current.push(key, tab.title, entries)
+    }
+  }
+
+  const items = tabs.map(tab => ({ key: tab.key, label: tab.title, closable: tabs.length > 1 }))
+  if (mergedEnabled) {
+    items.push({ key: MERGED_TAB_KEY, label: '合并视图', closable: false })
+  }
+
+  return (
+    <div style={{ height: '100vh', display: 'flex', flexDirection: 'column', overflow: 'hidden' }}>
+      <Tabs
+        type="editable-card"
+        size="small"
+        activeKey={activeKey}
+        onChange={setActiveKey}
+        onEdit={(key, action) => action === 'add' ? addTab() : removeTab(key)}
+        items={items}
+        tabBarStyle={{ margin: '8px 16px 0' }}
+        tabBarExtraContent={
+          <Checkbox checked={mergedEnabled} onChange={e => toggleMerged(e.target.checked)}>
+            合并视图
+          </Checkbox>
+        }
+      />
+      {/* 标签页内容自行渲染，非活动的会话保持挂载，继续接收日志 */}
+      <div style={{ flex: 1, minHeight: 0 }}>
+        {tabs.map(tab => (
+          <div key={tab.key} style={{ height: '100%', display: activeKey === tab.key ? 'block' : 'none' }}>
+            <LogcatViewer
+              initialState={tab.initialState}
+              launch={tab.launch}
+              onStateChange={state => updateTabState(tab.key, state)}
+              onTitleChange={title => setTabTitle(tab.key, title)}
+              highlightRules={highlightRules}
+              onHighlightRulesChange={saveHighlightRules}
+              onEntries={mergedEnabled ? entries => forwardEntries(tab.key, entries) : null}
+            />
+          </div>
+        ))}
+        {mergedEnabled && (
+          <div style={{ height: '100%', display: activeKey === MERGED_TAB_KEY ? 'block' : 'none' }}>
+            <MergedLogView ref={mergedRef} highlightRules={highlightRules} />
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
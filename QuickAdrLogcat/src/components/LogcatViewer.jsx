@@ -1,9 +1,23 @@
-import { useEffect, useState, useRef } from 'react'
-import { Select, Input, Button, Tag, Space, Table, Modal, Alert, Spin, message, Checkbox, Dropdown, Menu } from 'antd'
-import { SettingOutlined } from '@ant-design/icons';
+import { useEffect, useState, useRef, useMemo } from 'react'
+import { Select, Input, Button, Tag, Space, Modal, Alert, Spin, message, Checkbox, Dropdown, Menu, Tooltip, Progress, Popover, Descriptions, Badge, InputNumber } from 'antd'
+import { SettingOutlined, QuestionCircleOutlined, ExportOutlined, FolderOpenOutlined, RightOutlined, DownOutlined, InfoCircleOutlined, HighlightOutlined, PauseCircleOutlined, PlayCircleOutlined, ArrowDownOutlined, ArrowUpOutlined, StarOutlined, StarFilled, BookOutlined, ProfileOutlined, CopyOutlined, FilterOutlined, StopOutlined, BugOutlined, FieldTimeOutlined, BarChartOutlined, ControlOutlined } from '@ant-design/icons';
+import { compileQuery, formatQueryTerm } from '../utils/logQuery'
+import { ExportFormats, formatLogText } from '../utils/logFormat'
+import { compileHighlightRules, getRowHighlight } from '../utils/highlight'
+import { createClock, parseLogTimestamp, toLogcatTime } from '../utils/logTime'
+import LogTable from './LogTable'
+import HighlightedText from './HighlightedText'
+import HighlightRulesModal from './HighlightRulesModal'
+import ConnectDeviceModal from './ConnectDeviceModal'
+import PresetPicker from './PresetPicker'
+import BookmarkPanel from './BookmarkPanel'
+import LogDetailDrawer from './LogDetailDrawer'
+import CrashPanel, { CrashTypes } from './CrashPanel'
+import LogStatsDashboard from './LogStatsDashboard'
+import LogcatOptionsModal, { DefaultLogcatOptions } from './LogcatOptionsModal'
 import LogParserWorker from '../workers/logParser.worker.js?worker'; // 使用 Vite ?worker 语法导入
 
-const LogLevels = {
+export const LogLevels = {
   V: { color: '#808080', text: 'Verbose' },
   D: { color: '#2196F3', text: 'Debug' },
   I: { color: '#4CAF50', text: 'Info' },
@@ -12,20 +26,159 @@ const LogLevels = {
   F: { color: '#9C27B0', text: 'Fatal' }
 }
 
-// 日志更新防抖间隔 (毫秒)
-const LOG_UPDATE_INTERVAL = 300;
+// 可选的 logcat 缓冲区，all 表示全部缓冲区
+const LogBuffers = ['main', 'system', 'crash', 'events', 'radio', 'all']
 
-export default function LogcatViewer() {
+// logcat 输出格式及可叠加的修饰符
+const LogFormats = ['threadtime', 'time', 'brief', 'tag', 'process', 'long']
+const LogFormatModifiers = ['year', 'epoch', 'uid', 'zone', 'printable']
+
+// adb 设备状态的显示名称
+const DeviceStates = {
+  device: '在线',
+  offline: '离线',
+  unauthorized: '未授权',
+  authorizing: '授权中',
+  connecting: '连接中',
+  recovery: 'Recovery',
+  sideload: 'Sideload',
+  bootloader: 'Bootloader',
+  'no permissions': '无权限'
+}
+
+// 设备连接方式的显示名称
+const DeviceTransports = {
+  usb: 'USB',
+  tcp: 'TCP/IP',
+  emulator: '模拟器'
+}
+
+// 设备的显示名称：别名优先，其次是厂商和型号，都没有时使用序列号
+const getDeviceName = (device) => {
+  if (device.alias) {
+    return device.alias
+  }
+  const model = device.model && device.manufacturer && !device.model.toLowerCase().startsWith(device.manufacturer.toLowerCase())
+    ? `${device.manufacturer} ${device.model}`
+    : device.model
+  return model || device.value
+}
+
+// 导出时每次格式化并写入的条数
+const EXPORT_CHUNK_SIZE = 5000
+
+// Worker 中保留的日志条数选项
+const RetentionOptions = [100000, 500000, 1000000, 2000000]
+const DEFAULT_RETENTION = 500000
+
+// 表格行高 (像素)
+const ROW_HEIGHT = 32
+
+const formatMegabytes = (bytes) => (bytes / 1024 / 1024).toFixed(1)
+
+// 开始监听时读取的历史日志
+const StartModes = [
+  { value: 'all', label: '全部历史' },
+  { value: 'time', label: '从时间开始' },
+  { value: 'tail', label: '最近 N 条' }
+]
+
+// 界面上输入的时间条件只校验格式，换算由 Worker 按设备时钟完成
+const isValidTime = (text) => parseLogTimestamp(text, createClock()) !== null
+
+// 单个日志会话（一个标签页）：独立的设备、logcat 进程、Worker、过滤条件和保留条数
+// onTitleChange(title) 在设备或打开的文件变化时通知标签页标题；onEntries(entries) 不为空时转发新日志给合并视图
+// initialState 为恢复工作区时的 { device, preset, settings }，会话设置变化时通过 onStateChange 通知以便保存工作区
+// highlightRules 为所有标签页共用的高亮规则，编辑后通过 onHighlightRulesChange 保存
+// launch 为从 uTools 入口进入时要执行的操作 { id, type, filePath | packageName }，见 LogcatTabs
+export default function LogcatViewer({
+  onTitleChange,
+  onEntries,
+  initialState,
+  launch,
+  onStateChange,
+  highlightRules = [],
+  onHighlightRulesChange
+}) {
+  const initialSettings = (initialState && initialState.settings) || {}
   const [devices, setDevices] = useState([])
-  const [selectedDevice, setSelectedDevice] = useState(null)
-  const [logs, setLogs] = useState([])
-  const [filters, setFilters] = useState([])
+  const [selectedDevice, setSelectedDevice] = useState((initialState && initialState.device) || null)
+  // 当前使用的过滤预设名称
+  const [activePreset, setActivePreset] = useState((initialState && initialState.preset) || null)
+  // Worker 推送的视图统计: 缓冲区条数、容量、估算内存、过滤后的条数和显示行数、出现过的进程名
+  const [viewState, setViewState] = useState({
+    total: 0,
+    capacity: DEFAULT_RETENTION,
+    approxBytes: 0,
+    viewCount: 0,
+    displayCount: 0,
+    processNames: [],
+    lastTimestamp: '',
+    queryId: 0,
+    scanProgress: null,
+    newCount: 0,
+    paused: false
+  })
+  // 表格可见区间的行数据，只保存这一小段
+  const [windowData, setWindowData] = useState({ start: 0, rows: [] })
+  // Worker 推送的书签列表，按日志顺序排列
+  const [bookmarks, setBookmarks] = useState([])
+  const [isBookmarkPanelVisible, setIsBookmarkPanelVisible] = useState(false)
+  // 选中的日志范围（seq），Shift 点击扩展 focus
+  const [selection, setSelection] = useState(null)
+  // 详情面板中显示的完整日志，从 Worker 读取（续行只带一行消息）
+  const [detailEntry, setDetailEntry] = useState(null)
+  const [isDetailVisible, setIsDetailVisible] = useState(false)
+  // Worker 检测到的崩溃记录
+  const [crashes, setCrashes] = useState([])
+  const [isCrashPanelVisible, setIsCrashPanelVisible] = useState(false)
+  // 统计面板打开时 Worker 定期推送的统计摘要
+  const [stats, setStats] = useState(null)
+  const [isStatsVisible, setIsStatsVisible] = useState(false)
+  // 右键菜单的位置和对应的行: { x, y, record }
+  const [contextMenu, setContextMenu] = useState(null)
+  const [retention, setRetention] = useState(DEFAULT_RETENTION)
+  const [appFilter, setAppFilter] = useState([])
+  // 时间范围过滤，输入格式同日志时间戳，为空表示不限
+  const [timeRange, setTimeRange] = useState({ from: '', to: '' })
+  // 开始监听时读取的历史日志: all 缓冲区中的全部，time 从指定时间开始，tail 最近 count 条
+  const [startFrom, setStartFrom] = useState({ mode: 'all', time: '', count: 1000 })
+  const [filters, setFilters] = useState(initialSettings.filters || [])
   const [newFilter, setNewFilter] = useState({ tag: '', level: 'V' })
-  const [frontendFiltering, setFrontendFiltering] = useState(false)
-  const [searchKeyword, setSearchKeyword] = useState('')
-  const [logProcess, setLogProcess] = useState(null)
+  const [buffers, setBuffers] = useState(initialSettings.buffers || ['main'])
+  const [logFormat, setLogFormat] = useState(initialSettings.logFormat || 'threadtime')
+  const [formatModifiers, setFormatModifiers] = useState(initialSettings.formatModifiers || [])
+  // 传给 logcat 的高级选项（导出模式、设备端过滤等），见 LogcatOptionsModal
+  const [logcatOptions, setLogcatOptions] = useState({ ...DefaultLogcatOptions, ...initialSettings.logcatOptions })
+  const [groupMultiline, setGroupMultiline] = useState(initialSettings.groupMultiline ?? true)
+  const [packageInput, setPackageInput] = useState(initialSettings.packageName || '')
+  const [packageName, setPackageName] = useState(initialSettings.packageName || '')
+  // 当前运行中的应用进程，checked 表示已完成至少一次查询
+  const [packageStatus, setPackageStatus] = useState({ pids: [], running: false, checked: false })
+  // 本次跟踪期间出现过的所有 PID，应用重启后仍保留之前进程的日志
+  const [trackedPids, setTrackedPids] = useState([])
+  // 离线会话：查看导入的日志文件，{ filePath, fileName }，为 null 时是实时会话
+  const [offlineSession, setOfflineSession] = useState(null)
+  // 导入进度百分比，为 null 时表示没有在导入
+  const [importProgress, setImportProgress] = useState(null)
+  const [frontendFiltering, setFrontendFiltering] = useState(initialSettings.frontendFiltering ?? false)
+  const [searchKeyword, setSearchKeyword] = useState(initialSettings.searchKeyword || '')
+  const [caseSensitive, setCaseSensitive] = useState(initialSettings.caseSensitive ?? false)
+  // 当前的 logcat 会话（preload 中的 LogcatSession），停止后为 null
+  const [logSession, setLogSession] = useState(null)
+  // 跟随最新日志（自动滚动到底部），用户向上滚动时自动关闭
+  const [follow, setFollow] = useState(true)
+  // 暂停显示：日志继续接收，但表格停留在暂停时的内容
+  const [paused, setPaused] = useState(false)
+  // logcat 会话意外退出后等待重启的状态: { attempt, delay, code, waiting }，waiting 表示设备已断开，正常运行时为 null
+  const [restarting, setRestarting] = useState(null)
+  // 设备信息弹窗中正在编辑的别名
+  const [aliasInput, setAliasInput] = useState('')
   const [adbPath, setAdbPath] = useState('')
   const [isConfigModalVisible, setIsConfigModalVisible] = useState(false)
+  const [isConnectModalVisible, setIsConnectModalVisible] = useState(false)
+  const [isHighlightModalVisible, setIsHighlightModalVisible] = useState(false)
+  const [isOptionsModalVisible, setIsOptionsModalVisible] = useState(false)
   const [tempAdbPath, setTempAdbPath] = useState('')
   const [configError, setConfigError] = useState('')
   const [isInitializing, setIsInitializing] = useState(true)
@@ -33,24 +186,48 @@ export default function LogcatViewer() {
   const [logError, setLogError] = useState('')
   const [messageApi, contextHolder] = message.useMessage() // 添加消息提示API
 
-  // 用于暂存从 Worker 接收到的日志
-  const logBuffer = useRef([]);
-  // 用于存储状态更新的 setTimeout ID
-  const logUpdateTimeoutRef = useRef(null);
   // Worker 实例引用
   const workerRef = useRef(null);
-
-  // 日志缓存上限
-  const MAX_LOGS = 1000
+  // 等待 Worker 响应的请求: requestId -> resolve
+  const pendingRequestsRef = useRef(new Map());
+  const requestIdRef = useRef(0);
+  // 过滤条件的编号，每次下发新条件时递增
+  const queryIdRef = useRef(0);
+  // logcat 进程的回调中需要读取最新的设备列表
+  const devicesRef = useRef([]);
+  devicesRef.current = devices;
+  const logSessionRef = useRef(null);
+  logSessionRef.current = logSession;
+  // 上一个会话停止完成的 Promise，启动新会话前等待，避免新旧 logcat 进程同时输出
+  const stoppingRef = useRef(null);
+  // 重启 logcat 时需要读取最后一条日志的时间
+  const viewStateRef = useRef(null);
+  viewStateRef.current = viewState;
+  // Worker 回调中使用最新的转发函数
+  const onEntriesRef = useRef(onEntries);
+  onEntriesRef.current = onEntries;
+  // 每次导入递增，用于取消进行中的导入
+  const importTokenRef = useRef(0);
+  // 已执行的进入操作编号
+  const handledLaunchRef = useRef(0);
+  const tableRef = useRef(null);
+  // 已通知过的最大崩溃记录 id
+  const notifiedCrashIdRef = useRef(0);
+  // 上一次跳转到的书签在列表中的位置，用于上一个/下一个
+  const bookmarkCursorRef = useRef(-1);
 
   // 列显示设置，默认pid和tid隐藏
   const [columnVisibility, setColumnVisibility] = useState({
     timestamp: true,
+    uid: false,
+    processName: true,
     pid: false,
     tid: false,
     level: true,
     tag: true,
-    message: true
+    buffer: true,
+    message: true,
+    ...initialSettings.columnVisibility
   })
 
   // 初始化ADB配置
@@ -72,6 +249,13 @@ export default function LogcatViewer() {
         
         const config = result.data
         setAdbPath(config.adbPath)
+        const savedRetention = config.settings && config.settings.retention
+        if (savedRetention) {
+          setRetention(savedRetention)
+          if (workerRef.current) {
+            workerRef.current.postMessage({ type: 'retention', payload: savedRetention });
+          }
+        }
         if (!config.adbPath) {
           setIsConfigModalVisible(true)
         }
@@ -95,28 +279,26 @@ export default function LogcatViewer() {
 
     // 监听来自 Worker 的消息
     workerRef.current.onmessage = (event) => {
-      if (event.data.type === 'logs') {
-        const parsedLogs = event.data.payload;
-        if (parsedLogs.length > 0) {
-          // 将解析后的日志添加到缓冲区
-          logBuffer.current.push(...parsedLogs);
-
-          // 如果已有定时器，清除它
-          if (logUpdateTimeoutRef.current) {
-            clearTimeout(logUpdateTimeoutRef.current);
-          }
-
-          // 设置一个新的定时器，延迟更新主日志状态 (与之前逻辑相同)
-          logUpdateTimeoutRef.current = setTimeout(() => {
-            const logsToAdd = [...logBuffer.current];
-            logBuffer.current = [];
-
-            setLogs(prevLogs => {
-              const updatedLogs = [...prevLogs, ...logsToAdd];
-              return updatedLogs.slice(-MAX_LOGS);
-            });
-            logUpdateTimeoutRef.current = null;
-          }, LOG_UPDATE_INTERVAL);
+      if (event.data.type === 'entries') {
+        if (onEntriesRef.current) {
+          onEntriesRef.current(event.data.payload);
+        }
+      } else if (event.data.type === 'state') {
+        setViewState(event.data.payload);
+      } else if (event.data.type === 'window') {
+        setWindowData(event.data.payload);
+      } else if (event.data.type === 'bookmarks') {
+        setBookmarks(event.data.payload);
+      } else if (event.data.type === 'stats') {
+        setStats(event.data.payload);
+      } else if (event.data.type === 'crashes') {
+        setCrashes(event.data.payload);
+        notifyCrashes(event.data.payload);
+      } else if (event.data.type === 'response') {
+        const resolve = pendingRequestsRef.current.get(event.data.requestId);
+        if (resolve) {
+          pendingRequestsRef.current.delete(event.data.requestId);
+          resolve(event.data.payload);
         }
       }
     };
@@ -135,14 +317,54 @@ export default function LogcatViewer() {
         workerRef.current.terminate();
         workerRef.current = null;
       }
-       // 清除可能存在的更新定时器
-      if (logUpdateTimeoutRef.current) {
-        clearTimeout(logUpdateTimeoutRef.current);
-        logUpdateTimeoutRef.current = null;
-      }
     };
   }, []); // 空依赖数组确保只在挂载和卸载时运行
 
+  // 跟踪应用进程，应用重启后自动加入新的 PID
+  useEffect(() => {
+    if (!packageName || !selectedDevice || !adbPath) {
+      return
+    }
+    const result = window.adb.watchPackage(selectedDevice, packageName, ({ pids, running }) => {
+      setPackageStatus({ pids, running, checked: true })
+      setTrackedPids(prev => [...new Set([...prev, ...pids])])
+    })
+    if (!result.success) {
+      setLogError(result.error)
+      return
+    }
+    return result.data
+  }, [packageName, selectedDevice, adbPath])
+
+  // 轮询所选设备的进程表，同步给 Worker 为新日志标注进程名
+  useEffect(() => {
+    if (workerRef.current) {
+      workerRef.current.postMessage({ type: 'processes', payload: {} });
+    }
+    // 离线会话中的日志来自文件，不使用当前设备的进程表
+    if (!selectedDevice || !adbPath || offlineSession) {
+      return
+    }
+    const result = window.adb.watchProcesses(selectedDevice, (map) => {
+      if (workerRef.current) {
+        workerRef.current.postMessage({ type: 'processes', payload: map });
+      }
+    })
+    if (!result.success) {
+      console.error('跟踪进程失败:', result.error)
+      return
+    }
+    return result.data
+  }, [selectedDevice, adbPath, offlineSession])
+
+  // 设置或清除应用包名过滤
+  const applyPackageFilter = (value) => {
+    const name = value.trim()
+    setPackageName(name)
+    setPackageStatus({ pids: [], running: false, checked: false })
+    setTrackedPids([])
+  }
+
   // 保存ADB路径
   const saveAdbPath = async () => {
     setConfigError('')
@@ -161,6 +383,127 @@ export default function LogcatViewer() {
     }
   }
 
+  // 更新设备列表，当前没有选中设备时默认选中第一个在线设备
+  const updateDevices = (list) => {
+    setDevices(list.map(device => ({
+      ...device,
+      label: device.state === 'device'
+        ? getDeviceName(device)
+        : `${getDeviceName(device)} (${DeviceStates[device.state] || device.state})`,
+      disabled: device.state !== 'device'
+    })))
+    const online = list.find(device => device.state === 'device')
+    if (online) {
+      setSelectedDevice(prev => prev || online.value)
+    }
+  }
+
+  const selectedDeviceInfo = devices.find(device => device.value === selectedDevice)
+
+  // 当前会话的设置，用于保存预设和工作区
+  const getSettings = () => ({
+    filters,
+    frontendFiltering,
+    searchKeyword,
+    caseSensitive,
+    columnVisibility,
+    buffers,
+    logFormat,
+    formatModifiers,
+    groupMultiline,
+    packageName,
+    logcatOptions
+  })
+
+  // 应用预设，运行中时以新的过滤器、缓冲区和格式重新启动 logcat；preset 为 null 时只清除选中状态
+  const applyPreset = (preset) => {
+    setActivePreset(preset ? preset.name : null)
+    if (!preset) {
+      return
+    }
+    const settings = { ...getSettings(), ...preset.settings }
+    setFilters(settings.filters)
+    setFrontendFiltering(settings.frontendFiltering)
+    setSearchKeyword(settings.searchKeyword)
+    setCaseSensitive(settings.caseSensitive)
+    setColumnVisibility(prev => ({ ...prev, ...settings.columnVisibility }))
+    setBuffers(settings.buffers)
+    setLogFormat(settings.logFormat)
+    setFormatModifiers(settings.formatModifiers)
+    setLogcatOptions({ ...DefaultLogcatOptions, ...settings.logcatOptions })
+    toggleGroupMultiline(settings.groupMultiline)
+    if (!offlineSession && settings.packageName !== packageName) {
+      setPackageInput(settings.packageName)
+      applyPackageFilter(settings.packageName)
+    }
+    if (logSession) {
+      restartLogcat({
+        filters: settings.filters,
+        frontendFiltering: settings.frontendFiltering,
+        buffers: settings.buffers,
+        format: settings.logFormat,
+        modifiers: settings.formatModifiers,
+        ...DefaultLogcatOptions,
+        ...settings.logcatOptions
+      })
+    }
+  }
+
+  // 设置变化时通知标签页容器保存工作区
+  useEffect(() => {
+    if (onStateChange) {
+      onStateChange({ device: selectedDevice, preset: activePreset, settings: getSettings() })
+    }
+  }, [selectedDevice, activePreset, filters, frontendFiltering, searchKeyword, caseSensitive, columnVisibility,
+    buffers, logFormat, formatModifiers, groupMultiline, packageName, logcatOptions])
+
+  // 标签页标题：离线会话为文件名，否则为设备名
+  const title = offlineSession
+    ? offlineSession.fileName
+    : selectedDeviceInfo ? getDeviceName(selectedDeviceInfo) : (selectedDevice || '未选择设备')
+  useEffect(() => {
+    if (onTitleChange) {
+      onTitleChange(title)
+    }
+  }, [title])
+  // Worker 回调中发送通知时使用最新的标题
+  const titleRef = useRef(title)
+  titleRef.current = title
+
+  // 实时会话中出现新崩溃且窗口不在前台时发送系统通知
+  const notifyCrashes = (list) => {
+    const added = list.filter(crash => crash.id > notifiedCrashIdRef.current)
+    if (added.length === 0) {
+      return
+    }
+    notifiedCrashIdRef.current = added[added.length - 1].id
+    if (!logSessionRef.current || !window.utools || (!document.hidden && document.hasFocus())) {
+      return
+    }
+    const [crash] = added
+    window.utools.showNotification(added.length > 1
+      ? `${titleRef.current}: 检测到 ${added.length} 个新崩溃`
+      : `${titleRef.current}: ${crash.process || crash.pid} ${CrashTypes[crash.type].label}${crash.exception ? ` ${crash.exception}` : ''}`)
+  }
+
+  // 开启合并视图时让 Worker 转发新日志
+  useEffect(() => {
+    if (workerRef.current) {
+      workerRef.current.postMessage({ type: 'forward', payload: !!onEntries });
+    }
+  }, [!!onEntries])
+
+  // 保存所选设备的别名
+  const saveDeviceAlias = async () => {
+    const result = await window.adb.setDeviceAlias(selectedDevice, aliasInput)
+    if (!result.success) {
+      messageApi.error(`保存别名失败: ${result.error}`)
+      return
+    }
+    messageApi.success(aliasInput.trim() ? '别名已保存' : '别名已清除')
+    fetchDevices()
+  }
+
   // 获取设备列表
   const fetchDevices = async () => {
     try {
@@ -168,11 +511,7 @@ export default function LogcatViewer() {
       if (!result.success) {
         throw new Error(result.error)
       }
-      setDevices(result.data)
-      // 如果有设备且当前没有选中设备，则默认选中第一个
-      if (result.data.length > 0 && !selectedDevice && !logProcess) {
-        setSelectedDevice(result.data[0].value)
-      }
+      updateDevices(result.data)
     } catch (error) {
       if (error.message === 'ADB path not configured') {
         setIsConfigModalVisible(true)
@@ -180,8 +519,8 @@ export default function LogcatViewer() {
     }
   }
 
-  // 启动日志监听
-  const startLogcat = async () => {
+  // 启动日志监听，overrides 用于在状态尚未更新时传入新的参数（如刚切换的缓冲区或格式）
+  const startLogcat = async (overrides = {}) => {
     if (!selectedDevice) {
       setLogError('请先选择设备')
       return
@@ -190,44 +529,55 @@ export default function LogcatViewer() {
     try {
       console.log('开始启动logcat, 设备ID:', selectedDevice)
       setLogError('')
-      const adbFilters = frontendFiltering ? [] : filters;
-      const result = window.adb.startLogcat(selectedDevice, adbFilters)
-      console.log('startLogcat result:', result)
-      
+      const {
+        filters: filterList = filters,
+        frontendFiltering: frontendOnly = frontendFiltering,
+        ...logcatOverrides
+      } = overrides
+      const adbFilters = frontendOnly ? [] : filterList;
+      const startOptions = startFrom.mode === 'time'
+        ? { since: toLogcatTime(startFrom.time) }
+        : startFrom.mode === 'tail' ? { tail: startFrom.count } : {}
+      if (startFrom.mode === 'time' && !startOptions.since) {
+        setLogError('起始时间格式不正确，应为 MM-DD HH:mm:ss')
+        return
+      }
+      const options = {
+        buffers,
+        format: logFormat,
+        modifiers: formatModifiers,
+        ...logcatOptions,
+        ...startOptions,
+        ...logcatOverrides
+      }
+      // 等待上一个会话的 logcat 进程退出后再启动，避免新旧进程的输出交错
+      await stoppingRef.current
+      // 用设备的年份和时区换算日志时间，读取失败时 Worker 使用本机时钟
+      const clockResult = await window.adb.getDeviceClock(selectedDevice)
+      if (workerRef.current) {
+        workerRef.current.postMessage({
+          type: 'config',
+          payload: { ...options, groupLines: groupMultiline, clock: clockResult.success ? clockResult.data : null }
+        });
+      }
+      const deviceId = selectedDevice
+      const result = window.adb.startLogcat(deviceId, adbFilters, options, {
+        onData: (text) => {
+          if (workerRef.current) {
+            workerRef.current.postMessage({ type: 'process', payload: text });
+          }
+        },
+        onError: (text) => {
+          console.error('Logcat错误输出:', text)
+          setLogError(text)
+        },
+        onStateChange: (change) => handleSessionState(deviceId, change),
+        getResumeOptions
+      })
       if (!result.success) {
         throw new Error(result.error)
       }
-      
-      console.log('logcat进程已创建')
-      const process = result.data
-      setLogProcess(process)
-
-      let buffer = '' // 这个 buffer 现在不再需要，因为 Worker 内部处理
-      process.stdout.on('data', (data) => {
-        // 将原始数据发送给 Worker
-        if (workerRef.current) {
-          workerRef.current.postMessage({ type: 'process', payload: data.toString() });
-        }
-      })
-
-      process.stderr.on('data', (data) => {
-        const errorMsg = data.toString()
-        console.error('Logcat错误输出:', errorMsg)
-        setLogError(errorMsg)
-      })
-
-      process.on('error', (error) => {
-        console.error('Logcat进程错误:', error)
-        setLogError(error.message)
-      })
-
-      process.on('close', (code) => {
-        console.log('Logcat进程已关闭, 退出码:', code)
-        setLogProcess(null)
-        if (code !== 0) {
-          setLogError(`Logcat进程异常退出，退出码: ${code}`)
-        }
-      })
+      setLogSession(result.data)
     } catch (error) {
       console.error('启动logcat失败:', error)
       setLogError(error.message || '启动日志监听失败')
@@ -237,72 +587,131 @@ export default function LogcatViewer() {
     }
   }
 
-  // 停止日志监听
-  const stopLogcat = () => {
-    // 清除可能存在的更新定时器
-    if (logUpdateTimeoutRef.current) {
-      clearTimeout(logUpdateTimeoutRef.current);
-      logUpdateTimeoutRef.current = null;
+  // 重启时从最后一条日志的时间继续读取（去掉 zone 修饰符附加的时区），-T 包含这一时刻本身，由 Worker 跳过重复的日志
+  // 还没有日志时不指定，沿用会话原来的起始时间或条数
+  const getResumeOptions = () => {
+    const since = viewStateRef.current.lastTimestamp.replace(/\s+(?:[+-]\d{4}|[A-Z]{2,5})$/, '')
+    if (!since) {
+      return {}
     }
-    logBuffer.current = [];
-
-    // 停止 Worker (虽然组件卸载时也会停止，但手动停止可以更快释放资源)
-    // 注意：如果快速连续点击停止/开始，这里终止再立即新建可能不是最高效的，但逻辑更清晰
-    /* // 暂时注释掉这里的 terminate，依赖 useEffect 的清理
     if (workerRef.current) {
-      console.log('Stopping: Terminating Log Parser Worker');
-      workerRef.current.terminate();
-      workerRef.current = null; // 可能需要重新创建 worker on start
+      workerRef.current.postMessage({ type: 'resume' });
     }
-    */
+    return { since }
+  }
 
-    if (logProcess) {
-      console.log('停止logcat进程')
-      try {
-        // 确保进程被彻底关闭
-        logProcess.removeAllListeners(); // 移除所有事件监听器
-        logProcess.kill();
-        
-        // 对于 Windows 平台，有时 kill() 不足以终止进程
-        // 使用 ADB 直接终止 logcat 进程
-        if (selectedDevice) {
-          window.adb.stopLogcat(selectedDevice).catch(error => {
-            console.error('Failed to force stop logcat:', error);
-          });
-        }
-      } catch (error) {
-        console.error('Error stopping logcat process:', error);
+  // 以新的参数重新启动运行中的 logcat，已有日志保留，从最后一条日志之后继续读取
+  const restartLogcat = (overrides = {}) => {
+    stopLogcat()
+    startLogcat({ ...getResumeOptions(), ...overrides })
+  }
+
+  // logcat 会话的状态变化：意外退出时插入中断标记并等待自动重启，恢复后插入重新连接标记
+  const handleSessionState = (deviceId, { state, code, attempt, delay, waiting, interrupted, resumed }) => {
+    const postMarker = (text) => {
+      if (workerRef.current) {
+        workerRef.current.postMessage({ type: 'marker', payload: text });
+      }
+    }
+    if (state === 'running') {
+      setRestarting(null)
+      if (resumed) {
+        postMarker(`—— ${deviceId} 已重新连接 ——`)
+      }
+    } else if (state === 'restarting') {
+      if (interrupted) {
+        postMarker(`—— ${deviceId} 日志中断，正在重新连接 ——`)
       }
-      setLogProcess(null)
+      setRestarting({ attempt, delay, code, waiting })
+    } else if (state === 'finished') {
+      setLogSession(null)
+      postMarker(`—— ${deviceId} 日志输出结束 ——`)
+    } else if (state === 'failed') {
+      setLogSession(null)
+      setRestarting(null)
+      setLogError(`Logcat进程多次重启失败，已停止，退出码: ${code}`)
+    }
+  }
+
+  // 停止日志监听，返回的 Promise 在 logcat 进程退出后完成
+  const stopLogcat = () => {
+    setRestarting(null)
+    if (!logSession) {
+      return stoppingRef.current
     }
+    console.log('停止logcat会话')
+    stoppingRef.current = logSession.stop()
+    setLogSession(null)
+    return stoppingRef.current
   }
 
   // 添加过滤器
   const addFilter = () => {
     if (newFilter.tag) {
-      setFilters(prev => [...prev, { ...newFilter }])
+      const next = [...filters, { ...newFilter }]
+      setFilters(next)
       setNewFilter({ tag: '', level: 'V' })
-      if (!frontendFiltering) {
-        stopLogcat()
-        startLogcat()
+      if (!frontendFiltering && !offlineSession && logSession) {
+        restartLogcat({ filters: next })
       }
     }
   }
 
   // 移除过滤器
   const removeFilter = (index) => {
-    setFilters(prev => prev.filter((_, i) => i !== index))
-    if (!frontendFiltering) {
-      stopLogcat()
-      startLogcat()
+    const next = filters.filter((_, i) => i !== index)
+    setFilters(next)
+    if (!frontendFiltering && !offlineSession && logSession) {
+      restartLogcat({ filters: next })
+    }
+  }
+
+  // 切换缓冲区，选择 all 时与其他缓冲区互斥
+  const changeBuffers = (values) => {
+    let next = values
+    if (values.includes('all')) {
+      next = values[values.length - 1] === 'all' ? ['all'] : values.filter(v => v !== 'all')
+    }
+    if (next.length === 0) {
+      next = ['main']
+    }
+    setBuffers(next)
+    if (logSession) {
+      restartLogcat({ buffers: next })
+    }
+  }
+
+  // 切换输出格式或修饰符，运行中时以新格式重新启动
+  const changeFormat = (format, modifiers) => {
+    setLogFormat(format)
+    setFormatModifiers(modifiers)
+    if (logSession) {
+      restartLogcat({ format, modifiers })
+    }
+  }
+
+  // 保存高级选项，运行中时以新选项重新启动
+  const changeLogcatOptions = (options) => {
+    setIsOptionsModalVisible(false)
+    setLogcatOptions(options)
+    if (logSession) {
+      restartLogcat(options)
+    }
+  }
+
+  // 切换多行合并，只影响之后到达的日志
+  const toggleGroupMultiline = (checked) => {
+    setGroupMultiline(checked)
+    if (workerRef.current) {
+      workerRef.current.postMessage({ type: 'grouping', payload: checked });
     }
   }
 
   // 复制到剪贴板函数
-  const copyToClipboard = (text) => {
+  const copyToClipboard = (text, successText = '已复制到剪贴板') => {
     navigator.clipboard.writeText(text)
       .then(() => {
-        messageApi.success('已复制到剪贴板');
+        messageApi.success(successText);
       })
       .catch(err => {
         console.error('复制失败:', err);
@@ -310,13 +719,98 @@ export default function LogcatViewer() {
       });
   }
 
-  // 处理行点击事件
-  const handleRowClick = (record) => {
-    // 构建完整的日志行文本
-    const logText = `${record.timestamp} ${record.pid} ${record.tid} ${record.level} ${record.tag}: ${record.message}`;
-    copyToClipboard(logText);
+  const selectionRange = selection && {
+    from: Math.min(selection.anchor, selection.focus),
+    to: Math.max(selection.anchor, selection.focus)
+  }
+
+  // 从 Worker 读取完整的日志显示在详情面板中
+  const showDetail = async (seq) => {
+    const page = await requestWorker({ type: 'rows', payload: { scope: 'all', fromSeq: seq, toSeq: seq + 1, limit: 1 } })
+    setDetailEntry(page.rows[0] || null)
+    setIsDetailVisible(true)
+  }
+
+  // 处理行点击事件：选中并显示详情，按住 Shift 时扩展选中范围
+  const handleRowClick = (record, event) => {
+    if (event.shiftKey && selection) {
+      setSelection({ ...selection, focus: record.seq })
+      return
+    }
+    setSelection({ anchor: record.seq, focus: record.seq })
+    showDetail(record.seq)
   };
 
+  const handleRowContextMenu = (record, event) => {
+    event.preventDefault()
+    if (!selectionRange || record.seq < selectionRange.from || record.seq > selectionRange.to) {
+      setSelection({ anchor: record.seq, focus: record.seq })
+    }
+    setContextMenu({ x: event.clientX, y: event.clientY, record })
+  }
+
+  // 复制日志：line 为完整的日志行，message 只复制消息，selection 复制选中范围内符合当前过滤条件的日志
+  const copyEntries = async (kind, entry) => {
+    if (kind === 'selection') {
+      const { from, to } = selectionRange
+      const page = await requestWorker({
+        type: 'rows',
+        payload: { scope: 'view', fromSeq: from, toSeq: to + 1, limit: to - from + 1 }
+      })
+      copyToClipboard(page.rows.map(formatLogText).join('\n'), `已复制 ${page.rows.length} 条日志`)
+    } else if (entry) {
+      copyToClipboard(kind === 'message' ? entry.message : formatLogText(entry))
+    }
+  }
+
+  // 在搜索条件末尾追加一个条件
+  const appendQueryTerm = (term) => {
+    setSearchKeyword(prev => prev.trim() ? `${prev.trim()} ${term}` : term)
+  }
+
+  const contextMenuItems = contextMenu ? [
+    { key: 'detail', icon: <ProfileOutlined />, label: '查看详情' },
+    { key: 'copy-line', icon: <CopyOutlined />, label: '复制日志行' },
+    { key: 'copy-message', label: '复制消息' },
+    { key: 'copy-selection', label: '复制选中的行', disabled: !selectionRange || selectionRange.from === selectionRange.to },
+    { type: 'divider' },
+    { key: 'filter-tag', icon: <FilterOutlined />, label: `只看标签 ${contextMenu.record.tag}`, disabled: !contextMenu.record.tag },
+    { key: 'filter-pid', icon: <FilterOutlined />, label: `只看 PID ${contextMenu.record.pid}`, disabled: !contextMenu.record.pid },
+    { key: 'exclude-tag', icon: <StopOutlined />, label: `排除标签 ${contextMenu.record.tag}`, disabled: !contextMenu.record.tag },
+    { type: 'divider' },
+    {
+      key: 'bookmark',
+      icon: contextMenu.record.bookmark != null ? <StarFilled /> : <StarOutlined />,
+      label: contextMenu.record.bookmark != null ? '删除书签' : '添加书签',
+      disabled: !!contextMenu.record.marker
+    }
+  ] : []
+
+  const handleContextMenuClick = async ({ key }) => {
+    const { record } = contextMenu
+    setContextMenu(null)
+    if (key === 'detail') {
+      showDetail(record.seq)
+    } else if (key.startsWith('copy-')) {
+      // 续行只带一行消息，复制前读取完整的日志
+      const page = await requestWorker({ type: 'rows', payload: { scope: 'all', fromSeq: record.seq, toSeq: record.seq + 1, limit: 1 } })
+      copyEntries(key.slice('copy-'.length), page.rows[0])
+    } else if (key === 'filter-tag') {
+      appendQueryTerm(formatQueryTerm('tag', '=', record.tag))
+    } else if (key === 'filter-pid') {
+      appendQueryTerm(formatQueryTerm('pid', '=', record.pid))
+    } else if (key === 'exclude-tag') {
+      appendQueryTerm(formatQueryTerm('tag', '=', record.tag, true))
+    } else if (key === 'bookmark') {
+      toggleBookmark(record)
+    }
+  }
+
+  // 应用筛选项，取 Worker 中出现过的进程名
+  const appFilterOptions = [...viewState.processNames]
+    .sort()
+    .map(name => ({ label: name, value: name }))
+
   // 表格列定义
   const columns = [
     {
@@ -325,6 +819,19 @@ export default function LogcatViewer() {
       key: 'timestamp',
       width: 180
     },
+    {
+      title: '应用',
+      dataIndex: 'processName',
+      key: 'processName',
+      width: 180,
+      ellipsis: true
+    },
+    {
+      title: 'UID',
+      dataIndex: 'uid',
+      key: 'uid',
+      width: 90
+    },
     {
       title: 'PID',
       dataIndex: 'pid',
@@ -354,16 +861,72 @@ export default function LogcatViewer() {
       key: 'tag',
       width: 150
     },
+    {
+      title: '缓冲区',
+      dataIndex: 'buffer',
+      key: 'buffer',
+      width: 90
+    },
     {
       title: '消息',
       dataIndex: 'message',
       key: 'message',
-      ellipsis: true
+      ellipsis: true,
+      // 多行日志只显示首行，点击箭头展开后每一行单独占一行显示
+      render: (message, record) => {
+        if (record.continuation) {
+          return (
+            <span style={{ fontFamily: 'monospace', paddingLeft: 24 }}>
+              <HighlightedText rules={highlighter} record={record} text={message} />
+            </span>
+          )
+        }
+        if (record.lineCount > 1) {
+          return (
+            <span>
+              <Button
+                type="text"
+                size="small"
+                icon={record.expanded ? <DownOutlined /> : <RightOutlined />}
+                onClick={(e) => {
+                  e.stopPropagation()
+                  toggleExpand(record)
+                }}
+              />
+              <Tag>{record.lineCount} 行</Tag>
+              <HighlightedText rules={highlighter} record={record} text={message.slice(0, message.indexOf('\n'))} />
+            </span>
+          )
+        }
+        return <HighlightedText rules={highlighter} record={record} text={message} />
+      }
     }
   ]
 
+  const highlighter = useMemo(() => compileHighlightRules(highlightRules), [highlightRules])
+
+  // 书签栏：不参与列设置，始终显示在最左侧
+  const bookmarkColumn = {
+    title: '',
+    dataIndex: 'bookmark',
+    key: 'bookmark',
+    width: 32,
+    render: (note, record) => !record.marker && (
+      <Tooltip title={note || null}>
+        <span
+          onClick={(e) => {
+            e.stopPropagation()
+            toggleBookmark(record)
+          }}
+        >
+          {note != null ? <StarFilled style={{ color: '#faad14' }} /> : <StarOutlined style={{ opacity: 0.25 }} />}
+        </span>
+      </Tooltip>
+    )
+  }
+
   // 过滤列显示
-  const visibleColumns = columns.filter(col => columnVisibility[col.dataIndex]);
+  const visibleColumns = [bookmarkColumn, ...columns.filter(col => columnVisibility[col.dataIndex])];
 
   // 切换列显示状态
   const toggleColumnVisibility = (key) => {
@@ -396,17 +959,54 @@ export default function LogcatViewer() {
     </Menu>
   );
 
-  // 定期刷新设备列表
+  // 跟踪设备的连接、断开和状态变化
   useEffect(() => {
-    if (adbPath) {
-      fetchDevices()
+    if (!adbPath) {
+      return
     }
+    fetchDevices()
+    const result = window.adb.watchDevices(updateDevices)
+    if (!result.success) {
+      console.error('跟踪设备失败:', result.error)
+      return
+    }
+    return result.data
   }, [adbPath])
 
+  // 执行从 uTools 入口进入时的操作，每个操作只执行一次；按包名监听和查看崩溃需要等到有设备可用
+  useEffect(() => {
+    if (!launch || handledLaunchRef.current >= launch.id || isInitializing) {
+      return
+    }
+    if (launch.type === 'file') {
+      handledLaunchRef.current = launch.id
+      openLogFile(launch.filePath)
+      return
+    }
+    if (launch.type === 'crashes') {
+      setIsCrashPanelVisible(true)
+      if (logSession || offlineSession) {
+        handledLaunchRef.current = launch.id
+        return
+      }
+    }
+    if (!adbPath || !selectedDevice) {
+      return
+    }
+    handledLaunchRef.current = launch.id
+    if (launch.type === 'package') {
+      setPackageInput(launch.packageName)
+      applyPackageFilter(launch.packageName)
+    }
+    if (!logSession) {
+      startLogcat()
+    }
+  }, [launch, isInitializing, adbPath, selectedDevice])
+
   // 手动刷新设备列表
   const refreshDevices = () => {
     // 不要在日志监控进行中刷新设备列表，这可能导致状态混乱
-    if (logProcess) {
+    if (logSession) {
       console.log('日志监控进行中，请先停止再刷新设备列表');
       setLogError('日志监控进行中，请先停止再刷新设备列表');
       return;
@@ -419,104 +1019,342 @@ export default function LogcatViewer() {
   // 清理函数
   useEffect(() => {
     return () => {
-      // 组件卸载时执行的操作已移至 Worker 初始化 useEffect 中
-      // 这里保留 stopLogcat 是为了确保进程被杀死
-      stopLogcat() 
+      // 组件卸载（如关闭标签页）时停止 logcat，这里的闭包是首次渲染时的，需通过 ref 读取当前会话
+      if (logSessionRef.current) {
+        logSessionRef.current.stop();
+      }
     }
   }, []) // 依赖项为空，确保只在卸载时运行
 
   // 切换过滤模式
   const toggleFilterMode = (checked) => {
     setFrontendFiltering(checked);
-    if (logProcess) {
-      stopLogcat();
-      setTimeout(() => {
-        startLogcat();
-      }, 100);
+    if (logSession && !offlineSession) {
+      restartLogcat({ frontendFiltering: checked });
     }
   };
 
-  // 过滤日志
-  const filteredLogs = logs.filter(log => {
-    if (searchKeyword) {
-      const keyword = searchKeyword.toLowerCase()
-      const isMatch = (
-        log.message.toLowerCase().includes(keyword) ||
-        log.tag.toLowerCase().includes(keyword)
-      )
-      if (!isMatch) return false
+  // 编译搜索查询，语法错误时在搜索框下方提示
+  const searchQuery = useMemo(
+    () => compileQuery(searchKeyword, { caseSensitive }),
+    [searchKeyword, caseSensitive]
+  )
+
+  // 过滤在 Worker 中执行，条件变化时下发，Worker 重新计算视图并推送可见区间
+  useEffect(() => {
+    if (!workerRef.current) {
+      return
     }
-    
-    if (frontendFiltering && filters.length > 0) {
-      return filters.some(filter => {
-        const tagMatch = !filter.tag || log.tag.includes(filter.tag);
-        const levelMatch = LogLevels[log.level] && LogLevels[filter.level] && 
-                           Object.keys(LogLevels).indexOf(log.level) <= Object.keys(LogLevels).indexOf(filter.level);
-        return tagMatch && levelMatch;
-      });
+    workerRef.current.postMessage({
+      type: 'filter',
+      queryId: ++queryIdRef.current,
+      payload: {
+        // 查询有语法错误时不过滤，避免输入过程中列表被清空
+        query: searchQuery.error ? '' : searchKeyword,
+        caseSensitive,
+        // 离线会话没有 adb 命令，标签过滤器总是在前端应用
+        tagFilters: frontendFiltering || offlineSession ? filters : [],
+        packageName,
+        pids: trackedPids,
+        apps: appFilter,
+        // 输入未完成（格式不对）时忽略该端点
+        timeRange: {
+          from: isValidTime(timeRange.from) ? timeRange.from : '',
+          to: isValidTime(timeRange.to) ? timeRange.to : ''
+        }
+      }
+    });
+  }, [searchQuery, frontendFiltering, offlineSession, filters, packageName, trackedPids, appFilter, timeRange])
+
+  // 停止跟随或暂停时让 Worker 开始统计新日志条数，恢复后停止统计
+  const tracking = !follow || paused
+  useEffect(() => {
+    if (workerRef.current) {
+      workerRef.current.postMessage({ type: 'mark', payload: tracking });
     }
-    
-    return true
+  }, [tracking])
+
+  useEffect(() => {
+    if (workerRef.current) {
+      workerRef.current.postMessage({ type: 'pause', payload: paused });
+    }
+  }, [paused])
+
+  // 点击新日志提示：恢复显示并跳到最新
+  const jumpToLatest = () => {
+    setPaused(false)
+    setFollow(true)
+  }
+
+  // 向 Worker 发送请求并等待响应
+  const requestWorker = (message) => new Promise(resolve => {
+    const requestId = ++requestIdRef.current
+    pendingRequestsRef.current.set(requestId, resolve)
+    workerRef.current.postMessage({ ...message, requestId });
   })
 
-  // 清除日志
-  const clearLogs = async () => {
+  // 表格可见区间变化时请求对应的行
+  const requestWindow = (start, end) => {
+    if (workerRef.current) {
+      workerRef.current.postMessage({ type: 'window', payload: { start, end } });
+    }
+  }
+
+  const getRow = (index) => windowData.rows[index - windowData.start]
+
+  // 展开或收起多行日志
+  const toggleExpand = (record) => {
+    workerRef.current.postMessage({ type: 'expand', payload: { seq: record.seq, expanded: !record.expanded } });
+  }
+
+  // 添加或删除书签
+  const toggleBookmark = (record) => {
+    workerRef.current.postMessage({ type: 'bookmark', payload: { seq: record.seq, note: record.bookmark != null ? null : '' } });
+  }
+
+  const updateBookmark = (seq, note) => {
+    workerRef.current.postMessage({ type: 'bookmark', payload: { seq, note } });
+  }
+
+  useEffect(() => {
+    if (workerRef.current) {
+      workerRef.current.postMessage({ type: 'stats', payload: isStatsVisible });
+    }
+  }, [isStatsVisible])
+
+  // 跳转到第一条不早于该时间的日志，time 为输入的时间文本或毫秒时间
+  const jumpToTime = async (time) => {
+    if (typeof time === 'string' && !isValidTime(time)) {
+      messageApi.warning('时间格式不正确，应为 MM-DD HH:mm:ss')
+      return
+    }
+    const index = await requestWorker({ type: 'locate-time', payload: time })
+    if (index < 0) {
+      messageApi.info('当前视图中没有该时间之后的日志')
+      return
+    }
+    setFollow(false)
+    tableRef.current.scrollToRow(index)
+  }
+
+  // 跳转到指定的日志行，停止跟随最新日志以免被自动滚动带走
+  const jumpToSeq = async (seq) => {
+    const index = await requestWorker({ type: 'locate', payload: seq })
+    if (index < 0) {
+      messageApi.warning('该日志不在当前视图中，可能不符合过滤条件或已被淘汰')
+      return
+    }
+    setFollow(false)
+    tableRef.current.scrollToRow(index)
+  }
+
+  const jumpToBookmark = (seq) => {
+    bookmarkCursorRef.current = bookmarks.findIndex(item => item.seq === seq)
+    jumpToSeq(seq)
+  }
+
+  // 按顺序跳转到上一个 (-1) 或下一个 (1) 书签
+  const jumpBookmark = (offset) => {
+    if (bookmarks.length === 0) {
+      return
+    }
+    const cursor = bookmarkCursorRef.current
+    const next = cursor < 0
+      ? (offset > 0 ? 0 : bookmarks.length - 1)
+      : (cursor + offset + bookmarks.length) % bookmarks.length
+    jumpToBookmark(bookmarks[next].seq)
+  }
+
+  // 调整保留条数并保存到配置
+  const changeRetention = (value) => {
+    setRetention(value)
+    if (workerRef.current) {
+      workerRef.current.postMessage({ type: 'retention', payload: value });
+    }
+    window.adb.updateSettings({ retention: value })
+  }
+
+  // 导出日志，scope 为 all（Worker 中保留的全部日志）或 view（当前过滤结果）
+  const exportLogs = async (scope, formatKey) => {
+    const exportFormat = ExportFormats[formatKey]
+    const count = scope === 'all' ? viewState.total : viewState.viewCount
+    if (count === 0) {
+      messageApi.warning('没有可导出的日志')
+      return
+    }
+
+    const time = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15)
+    const fileName = `logcat-${selectedDevice || 'session'}-${time}.${exportFormat.extension}`.replace(/[\\/:*?"<>|]/g, '_')
+    const filePath = window.utools.showSaveDialog({
+      title: '导出日志',
+      defaultPath: window.logFile.getDefaultPath(fileName),
+      filters: [{ name: exportFormat.label, extensions: [exportFormat.extension] }]
+    })
+    if (!filePath) {
+      return
+    }
+
+    const result = window.logFile.createWriter(filePath)
+    if (!result.success) {
+      messageApi.error(`导出失败: ${result.error}`)
+      return
+    }
+    const writer = result.data
+    const hideLoading = messageApi.loading('正在导出...', 0)
     try {
-      // 清空缓冲区和定时器
-      logBuffer.current = [];
-      if (logUpdateTimeoutRef.current) {
-        clearTimeout(logUpdateTimeoutRef.current);
-        logUpdateTimeoutRef.current = null;
+      if (exportFormat.header) {
+        await writer.write(exportFormat.header() + '\n')
       }
-      // 通知 worker 清理其内部缓冲
-      if (workerRef.current) {
-        workerRef.current.postMessage({ type: 'clear' });
+      // 按 seq 分页从 Worker 读取，每页格式化后写入；toSeq 由第一页确定，只导出开始导出时已有的日志
+      let fromSeq = 0
+      let toSeq = null
+      let exported = 0
+      let done = false
+      while (!done) {
+        const page = await requestWorker({
+          type: 'rows',
+          payload: { scope, fromSeq, toSeq, limit: EXPORT_CHUNK_SIZE }
+        })
+        if (page.rows.length > 0) {
+          await writer.write(page.rows.map(exportFormat.format).join('\n') + '\n')
+          exported += page.rows.length
+        }
+        fromSeq = page.nextSeq
+        toSeq = page.toSeq
+        done = page.done || page.rows.length === 0
+      }
+      await writer.end()
+      messageApi.success(`已导出 ${exported} 条日志到 ${filePath}`)
+      if (bookmarks.length > 0 && !exportFormat.bookmarks) {
+        messageApi.warning('文本格式不包含书签，需要保留书签请导出为 JSON Lines')
       }
+    } catch (error) {
+      console.error('导出日志失败:', error)
+      writer.abort()
+      messageApi.error(`导出失败: ${error.message}`)
+    } finally {
+      hideLoading()
+    }
+  }
+
+  // 导出菜单：范围 × 格式
+  const exportMenuItems = [
+    { scope: 'view', label: '导出过滤结果' },
+    { scope: 'all', label: '导出全部日志' }
+  ].map(({ scope, label }) => ({
+    key: scope,
+    type: 'group',
+    label,
+    children: Object.entries(ExportFormats).map(([formatKey, { label: formatLabel, bookmarks: bookmarkHint }]) => ({
+      key: `${scope}:${formatKey}`,
+      label: (
+        <span>
+          {formatLabel}
+          <span style={{ color: '#888', fontSize: 12, marginLeft: 8 }}>{bookmarkHint || '不含书签'}</span>
+        </span>
+      )
+    }))
+  }))
+
+  // 清空界面日志和 Worker 中尚未发送的内容
+  const resetLogs = () => {
+    if (workerRef.current) {
+      workerRef.current.postMessage({ type: 'clear' });
+    }
+    setWindowData({ start: 0, rows: [] })
+    setSelection(null)
+  }
+
+  // 把一块文件内容交给 Worker 解析，Worker 处理完成后 resolve
+  const processChunk = (chunk) => requestWorker({ type: 'process', payload: chunk })
+
+  // 选择并打开本地日志文件
+  const selectLogFile = () => {
+    const paths = window.utools.showOpenDialog({
+      title: '打开日志文件',
+      filters: [{ name: '日志文件', extensions: ['txt', 'log', 'jsonl'] }],
+      properties: ['openFile']
+    })
+    if (paths && paths.length > 0) {
+      openLogFile(paths[0])
+    }
+  }
+
+  // 以离线会话打开日志文件或 bugreport，文件分块交给 Worker 解析，自动识别输出格式
+  const openLogFile = async (filePath) => {
+    if (!workerRef.current) {
+      return
+    }
+    stopLogcat()
+    resetLogs()
+    setPackageInput('')
+    applyPackageFilter('')
+    const token = ++importTokenRef.current
+    const fileName = filePath.split(/[\\/]/).pop()
+    setOfflineSession({ filePath, fileName })
+    setLogError('')
+    setImportProgress(0)
+    workerRef.current.postMessage({
+      type: 'config',
+      payload: { buffers: ['all'], format: 'auto', groupLines: groupMultiline }
+    });
+
+    const result = await window.logFile.readFile(filePath, async (chunk, bytesRead, totalBytes) => {
+      if (token !== importTokenRef.current) {
+        return false
+      }
+      setImportProgress(totalBytes > 0 ? Math.floor(bytesRead / totalBytes * 100) : 100)
+      await processChunk(chunk)
+    })
+
+    if (token !== importTokenRef.current) {
+      return
+    }
+    if (workerRef.current) {
+      workerRef.current.postMessage({ type: 'flush' });
+    }
+    setImportProgress(null)
+    if (!result.success) {
+      setLogError(`打开文件失败: ${result.error}`)
+    }
+  }
+
+  // 关闭离线会话，回到实时模式
+  const closeOfflineSession = () => {
+    importTokenRef.current++
+    setImportProgress(null)
+    setOfflineSession(null)
+    resetLogs()
+  }
+
+  // 清除日志
+  const clearLogs = async () => {
+    try {
+      // 通知 worker 清空日志缓冲区
+      resetLogs()
 
       if (selectedDevice) {
         console.log('开始清除日志, 设备ID:', selectedDevice)
         // 记录当前日志监控状态
-        const wasRunning = !!logProcess;
+        const wasRunning = !!logSession;
         // 先停止日志监听
         stopLogcat()
         // 清除日志缓冲区
         await window.adb.clearLogcat(selectedDevice)
-        // 清除界面显示的日志
-        setLogs([])
         // 如果之前正在监控日志，则重新开始监听
         if (wasRunning) {
           startLogcat();
         }
-      } else {
-        // 如果没有选择设备，只清除界面显示的日志
-        setLogs([])
       }
     } catch (error) {
       console.error('清除日志失败:', error)
     }
   }
 
-  // 为 adb 模块添加 stopLogcat 功能，在后端进行处理
-  useEffect(() => {
-    // 添加这个方法到 window.adb 对象，如果它还不存在
-    if (window.adb && !window.adb.stopLogcat) {
-      window.adb.stopLogcat = async (deviceId) => {
-        try {
-          // 使用 adb shell 命令强制终止设备上的 logcat 进程
-          const result = await window.adb.runCommand(['shell', 'pkill', '-f', 'logcat'], deviceId);
-          return { success: true, data: result };
-        } catch (error) {
-          console.error('强制终止 logcat 失败:', error);
-          return { success: false, error: error.message };
-        }
-      };
-    }
-  }, []);
-
   if (isInitializing) {
     return (
       <div style={{ 
-        height: '100vh', 
+        height: '100%', 
         display: 'flex', 
         justifyContent: 'center', 
         alignItems: 'center' 
@@ -543,32 +1381,183 @@ export default function LogcatViewer() {
   }
 
   return (
-    <div style={{ height: '100vh', display: 'flex', flexDirection: 'column', overflow: 'hidden' }}>
+    <div style={{ height: '100%', display: 'flex', flexDirection: 'column', overflow: 'hidden' }}>
       {contextHolder} {/* 消息提示组件 */}
       {/* 固定的控制面板 */}
       <div style={{ padding: '16px', flexShrink: 0 }}>
         <Space direction="vertical" style={{ width: '100%' }} size="middle">
           <Space>
+            {offlineSession ? (
+              <Tag color="blue" style={{ lineHeight: '30px', marginInlineEnd: 0 }}>
+                离线: {offlineSession.fileName}
+              </Tag>
+            ) : (
+              <>
+                <Select
+                  style={{ width: 240 }}
+                  options={devices}
+                  value={selectedDevice}
+                  onChange={setSelectedDevice}
+                  placeholder="选择设备"
+                  popupMatchSelectWidth={false}
+                  optionRender={({ data }) => (
+                    <div>
+                      <div>
+                        {getDeviceName(data)}
+                        {data.state !== 'device' && (
+                          <Tag style={{ marginLeft: 8 }}>{DeviceStates[data.state] || data.state}</Tag>
+                        )}
+                      </div>
+                      <div style={{ fontSize: 12, color: '#888' }}>
+                        {[
+                          data.value,
+                          DeviceTransports[data.transport],
+                          data.release && `Android ${data.release} (API ${data.sdk})`
+                        ].filter(Boolean).join(' · ')}
+                      </div>
+                    </div>
+                  )}
+                />
+                {selectedDeviceInfo && (
+                  <Popover
+                    title={getDeviceName(selectedDeviceInfo)}
+                    trigger="click"
+                    onOpenChange={open => open && setAliasInput(selectedDeviceInfo.alias)}
+                    content={
+                      <Space direction="vertical" style={{ width: 320 }}>
+                        <Descriptions size="small" column={1} bordered>
+                          <Descriptions.Item label="序列号">{selectedDeviceInfo.value}</Descriptions.Item>
+                          <Descriptions.Item label="状态">{DeviceStates[selectedDeviceInfo.state] || selectedDeviceInfo.state}</Descriptions.Item>
+                          <Descriptions.Item label="厂商">{selectedDeviceInfo.manufacturer || '-'}</Descriptions.Item>
+                          <Descriptions.Item label="型号">{selectedDeviceInfo.model || '-'}</Descriptions.Item>
+                          <Descriptions.Item label="系统版本">
+                            {selectedDeviceInfo.release ? `Android ${selectedDeviceInfo.release} (API ${selectedDeviceInfo.sdk})` : '-'}
+                          </Descriptions.Item>
+                          <Descriptions.Item label="连接方式">{DeviceTransports[selectedDeviceInfo.transport] || '-'}</Descriptions.Item>
+                        </Descriptions>
+                        <Space.Compact style={{ width: '100%' }}>
+                          <Input
+                            value={aliasInput}
+                            onChange={e => setAliasInput(e.target.value)}
+                            onPressEnter={saveDeviceAlias}
+                            placeholder="设备别名"
+                          />
+                          <Button onClick={saveDeviceAlias}>保存</Button>
+                        </Space.Compact>
+                      </Space>
+                    }
+                  >
+                    <Button icon={<InfoCircleOutlined />} />
+                  </Popover>
+                )}
+              </>
+            )}
             <Select
-              style={{ width: 200 }}
-              options={devices}
-              value={selectedDevice}
-              onChange={setSelectedDevice}
-              placeholder="选择设备"
+              mode="multiple"
+              style={{ minWidth: 160 }}
+              value={buffers}
+              onChange={changeBuffers}
+              disabled={!!offlineSession}
+              options={LogBuffers.map(value => ({ value, label: value }))}
+              placeholder="缓冲区"
             />
-            <Button onClick={refreshDevices}>
-              刷新设备
-            </Button>
-            <Button
-              type="primary"
-              onClick={() => logProcess ? stopLogcat() : startLogcat()}
-              disabled={!adbPath}
-            >
-              {logProcess ? '停止' : '开始'}
-            </Button>
-            <Button onClick={clearLogs}>
-              清除日志
+            <Select
+              style={{ width: 120 }}
+              value={logFormat}
+              onChange={format => changeFormat(format, formatModifiers)}
+              disabled={!!offlineSession}
+              options={LogFormats.map(value => ({ value, label: value }))}
+            />
+            <Select
+              mode="multiple"
+              style={{ minWidth: 120 }}
+              value={formatModifiers}
+              onChange={modifiers => changeFormat(logFormat, modifiers)}
+              disabled={!!offlineSession}
+              options={LogFormatModifiers.map(value => ({ value, label: value }))}
+              placeholder="格式修饰符"
+            />
+            <Space.Compact>
+              <Select
+                style={{ width: 120 }}
+                value={startFrom.mode}
+                onChange={mode => setStartFrom(prev => ({ ...prev, mode }))}
+                disabled={!!offlineSession}
+                options={StartModes}
+              />
+              {startFrom.mode === 'time' && (
+                <Input
+                  style={{ width: 170 }}
+                  placeholder="MM-DD HH:mm:ss"
+                  value={startFrom.time}
+                  status={startFrom.time && !toLogcatTime(startFrom.time) ? 'error' : ''}
+                  onChange={e => setStartFrom(prev => ({ ...prev, time: e.target.value }))}
+                  disabled={!!offlineSession}
+                />
+              )}
+              {startFrom.mode === 'tail' && (
+                <InputNumber
+                  style={{ width: 110 }}
+                  min={1}
+                  value={startFrom.count}
+                  onChange={count => setStartFrom(prev => ({ ...prev, count: count || 1 }))}
+                  disabled={!!offlineSession}
+                />
+              )}
+            </Space.Compact>
+            <Tooltip title="logcat 高级选项">
+              <Badge dot={Object.keys(DefaultLogcatOptions).some(key => logcatOptions[key] !== DefaultLogcatOptions[key])}>
+                <Button icon={<ControlOutlined />} onClick={() => setIsOptionsModalVisible(true)} disabled={!!offlineSession} />
+              </Badge>
+            </Tooltip>
+            {offlineSession ? (
+              <Button onClick={closeOfflineSession}>
+                关闭文件
+              </Button>
+            ) : (
+              <>
+                <Button onClick={refreshDevices}>
+                  刷新设备
+                </Button>
+                <Button onClick={() => setIsConnectModalVisible(true)} disabled={!adbPath}>
+                  无线连接
+                </Button>
+                <Button
+                  type="primary"
+                  onClick={() => logSession ? stopLogcat() : startLogcat()}
+                  disabled={!adbPath}
+                >
+                  {logSession ? '停止' : '开始'}
+                </Button>
+                {restarting && restarting.waiting && (
+                  <Tag color="orange" style={{ lineHeight: '30px', marginInlineEnd: 0 }}>
+                    等待设备重新连接...
+                  </Tag>
+                )}
+                {restarting && !restarting.waiting && (
+                  <Tooltip title={`logcat 已退出（退出码 ${restarting.code}），${restarting.delay / 1000} 秒后重试，设备重新连接时立即重试`}>
+                    <Tag color="orange" style={{ lineHeight: '30px', marginInlineEnd: 0 }}>
+                      正在重新连接（第 {restarting.attempt} 次）...
+                    </Tag>
+                  </Tooltip>
+                )}
+                <Button
+                  icon={paused ? <PlayCircleOutlined /> : <PauseCircleOutlined />}
+                  onClick={() => setPaused(prev => !prev)}
+                >
+                  {paused ? '继续' : '暂停'}
+                </Button>
+                <Button onClick={clearLogs}>
+                  清除日志
+                </Button>
+              </>
+            )}
+            <Button icon={<FolderOpenOutlined />} onClick={selectLogFile}>
+              打开文件
             </Button>
+            {importProgress !== null && (
+              <Progress percent={importProgress} size="small" style={{ width: 160, marginBottom: 0 }} />
+            )}
             <Button onClick={() => setIsConfigModalVisible(true)}>
               配置ADB
             </Button>
@@ -612,11 +1601,40 @@ export default function LogcatViewer() {
             />
             <Button onClick={addFilter}>添加过滤器</Button>
             <Checkbox 
-              checked={frontendFiltering}
+              checked={frontendFiltering || !!offlineSession}
               onChange={(e) => toggleFilterMode(e.target.checked)}
+              disabled={!!offlineSession}
             >
               前端过滤
             </Checkbox>
+            <Checkbox
+              checked={groupMultiline}
+              onChange={(e) => toggleGroupMultiline(e.target.checked)}
+            >
+              合并多行日志
+            </Checkbox>
+          </Space>
+
+          <Space>
+            <Input.Search
+              style={{ width: 300 }}
+              value={packageInput}
+              onChange={e => setPackageInput(e.target.value)}
+              onSearch={applyPackageFilter}
+              enterButton="跟踪应用"
+              disabled={!!offlineSession}
+              allowClear
+              placeholder="应用包名，如 com.example.app"
+            />
+            {packageName && (
+              <Tag color={packageStatus.running ? 'green' : 'default'}>
+                {!packageStatus.checked
+                  ? '正在查找进程...'
+                  : packageStatus.running
+                    ? `${packageName} PID: ${packageStatus.pids.join(', ')}`
+                    : `${packageName} 未运行`}
+              </Tag>
+            )}
           </Space>
 
           <Space wrap>
@@ -640,39 +1658,243 @@ export default function LogcatViewer() {
             ))}
           </Space>
 
-          <Space>
+          <Space align="start">
+            <PresetPicker value={activePreset} getSettings={getSettings} onApply={applyPreset} onSaved={setActivePreset} />
+            <div>
+              <Input
+                placeholder='搜索日志，如 tag:ActivityManager level>=W -message:"GC freed" /timeout \d+ms/'
+                value={searchKeyword}
+                onChange={e => setSearchKeyword(e.target.value)}
+                status={searchQuery.error ? 'error' : ''}
+                allowClear
+                style={{ width: 480 }}
+                suffix={
+                  <Tooltip title={caseSensitive ? '区分大小写' : '不区分大小写'}>
+                    <Button
+                      size="small"
+                      type={caseSensitive ? 'primary' : 'text'}
+                      onClick={() => setCaseSensitive(prev => !prev)}
+                    >
+                      Aa
+                    </Button>
+                  </Tooltip>
+                }
+              />
+              {searchQuery.error && (
+                <div style={{ color: '#ff4d4f', fontSize: 12, marginTop: 4 }}>
+                  第 {searchQuery.error.position + 1} 个字符: {searchQuery.error.message}
+                </div>
+              )}
+            </div>
+            <Tooltip
+              title={
+                <div>
+                  <div>字段: tag、message、level、pid、tid、uid、app、buffer、device</div>
+                  <div>tag:Net 包含；tag=Net 完全相等；level&gt;=W 级别范围</div>
+                  <div>-tag:Net 或 !tag:Net 排除；a OR b、括号分组</div>
+                  <div>"带空格的短语"、/正则/i</div>
+                </div>
+              }
+            >
+              <QuestionCircleOutlined style={{ marginTop: 9 }} />
+            </Tooltip>
+            <Select
+              mode="multiple"
+              allowClear
+              style={{ minWidth: 200, maxWidth: 360 }}
+              placeholder="按应用筛选"
+              value={appFilter}
+              onChange={setAppFilter}
+              options={appFilterOptions}
+              maxTagCount="responsive"
+            />
+            <Tooltip title="时间范围，格式 MM-DD HH:mm:ss 或 YYYY-MM-DD HH:mm:ss，秒可以省略">
+              <Space.Compact>
+                <Input
+                  style={{ width: 150 }}
+                  placeholder="开始时间"
+                  allowClear
+                  value={timeRange.from}
+                  status={timeRange.from && !isValidTime(timeRange.from) ? 'error' : ''}
+                  onChange={e => setTimeRange(prev => ({ ...prev, from: e.target.value }))}
+                />
+                <Input
+                  style={{ width: 150 }}
+                  placeholder="结束时间"
+                  allowClear
+                  value={timeRange.to}
+                  status={timeRange.to && !isValidTime(timeRange.to) ? 'error' : ''}
+                  onChange={e => setTimeRange(prev => ({ ...prev, to: e.target.value }))}
+                />
+              </Space.Compact>
+            </Tooltip>
             <Input.Search
-              placeholder="搜索日志..."
-              value={searchKeyword}
-              onChange={e => setSearchKeyword(e.target.value)}
-              style={{ width: 300 }}
+              style={{ width: 190 }}
+              placeholder="跳转到时间"
+              enterButton={<FieldTimeOutlined />}
+              onSearch={jumpToTime}
             />
             <Dropdown overlay={columnsMenu} trigger={['click']}>
               <Button icon={<SettingOutlined />}>列设置</Button>
             </Dropdown>
+            <Button icon={<HighlightOutlined />} onClick={() => setIsHighlightModalVisible(true)}>
+              高亮规则
+            </Button>
+            <Button
+              icon={<BarChartOutlined />}
+              type={isStatsVisible ? 'primary' : 'default'}
+              onClick={() => setIsStatsVisible(prev => !prev)}
+            >
+              统计
+            </Button>
+            <Badge count={crashes.length} size="small" overflowCount={99}>
+              <Button icon={<BugOutlined />} danger={crashes.length > 0} onClick={() => setIsCrashPanelVisible(true)}>
+                崩溃
+              </Button>
+            </Badge>
+            <Space.Compact>
+              <Button icon={<BookOutlined />} onClick={() => setIsBookmarkPanelVisible(true)}>
+                书签{bookmarks.length > 0 && ` ${bookmarks.length}`}
+              </Button>
+              <Tooltip title="上一个书签">
+                <Button icon={<ArrowUpOutlined />} disabled={bookmarks.length === 0} onClick={() => jumpBookmark(-1)} />
+              </Tooltip>
+              <Tooltip title="下一个书签">
+                <Button icon={<ArrowDownOutlined />} disabled={bookmarks.length === 0} onClick={() => jumpBookmark(1)} />
+              </Tooltip>
+            </Space.Compact>
+            <Dropdown
+              trigger={['click']}
+              menu={{
+                items: exportMenuItems,
+                onClick: ({ key }) => exportLogs(...key.split(':'))
+              }}
+            >
+              <Button icon={<ExportOutlined />}>导出</Button>
+            </Dropdown>
+            <Tooltip title="超过保留条数后丢弃最旧的日志">
+              <Select
+                style={{ width: 130 }}
+                value={retention}
+                onChange={changeRetention}
+                options={RetentionOptions.map(value => ({ value, label: `保留 ${value / 10000} 万条` }))}
+              />
+            </Tooltip>
+            <span style={{ color: '#888', fontSize: 12, lineHeight: '32px' }}>
+              已缓存 {viewState.total} / {viewState.capacity} 条 · 约 {formatMegabytes(viewState.approxBytes)} MB · 显示 {viewState.viewCount} 条
+              {viewState.scanProgress !== null && viewState.queryId === queryIdRef.current &&
+                ` · 正在过滤 ${Math.floor(viewState.scanProgress * 100)}%`}
+              {performance.memory && ` · 堆 ${formatMegabytes(performance.memory.usedJSHeapSize)} MB`}
+            </span>
           </Space>
         </Space>
       </div>
 
+      {isStatsVisible && (
+        <div style={{ padding: '0 16px 12px', flexShrink: 0 }}>
+          <LogStatsDashboard
+            stats={stats}
+            onFilter={(field, value, exclude) => appendQueryTerm(formatQueryTerm(field, '=', value, exclude))}
+            onJumpToTime={jumpToTime}
+          />
+        </div>
+      )}
+
       {/* 可滚动的表格区域 */}
-      <div style={{ flex: '1', padding: '0 16px 16px', overflow: 'hidden' }}>
-        <Table
+      <div style={{ flex: '1', padding: '0 16px 16px', overflow: 'hidden', position: 'relative' }}>
+        <LogTable
+          ref={tableRef}
           columns={visibleColumns}
-          dataSource={filteredLogs}
-          rowKey={record => record.key}
-          size="small"
-          scroll={{ y: 'calc(100%)' }}
-          pagination={false}
-          virtual={true}
-          rowHeight={40}
-          sticky={{ offsetHeader: 0 }}
-          onRow={(record) => ({
-            onClick: () => handleRowClick(record), // 点击行时触发
-            style: { cursor: 'pointer' } // 鼠标悬停时显示手型光标
-          })}
+          rowCount={viewState.displayCount}
+          rowHeight={ROW_HEIGHT}
+          getRow={getRow}
+          onRangeChange={requestWindow}
+          onRowClick={handleRowClick}
+          onRowContextMenu={handleRowContextMenu}
+          rowStyle={record => {
+            const style = record.marker
+              ? { background: 'rgba(250, 173, 20, 0.15)', fontStyle: 'italic' }
+              : getRowHighlight(highlighter, record)
+            return selectionRange && record.seq >= selectionRange.from && record.seq <= selectionRange.to
+              ? { ...style, boxShadow: 'inset 3px 0 0 #1677ff', background: 'rgba(22, 119, 255, 0.12)' }
+              : style
+          }}
+          follow={follow && !paused}
+          onFollowChange={setFollow}
         />
+        {tracking && viewState.newCount > 0 && (
+          <Button
+            type="primary"
+            shape="round"
+            icon={<ArrowDownOutlined />}
+            onClick={jumpToLatest}
+            style={{ position: 'absolute', right: 40, bottom: 32, boxShadow: '0 2px 8px rgba(0, 0, 0, 0.25)' }}
+          >
+            {viewState.newCount} 条新日志
+          </Button>
+        )}
       </div>
 
+      <Dropdown
+        open={!!contextMenu}
+        onOpenChange={open => !open && setContextMenu(null)}
+        menu={{ items: contextMenuItems, onClick: handleContextMenuClick }}
+        trigger={['contextMenu']}
+      >
+        <div style={{ position: 'fixed', left: contextMenu ? contextMenu.x : 0, top: contextMenu ? contextMenu.y : 0, width: 1, height: 1 }} />
+      </Dropdown>
+
+      <LogDetailDrawer
+        open={isDetailVisible}
+        entry={detailEntry}
+        multiSelected={!!selectionRange && selectionRange.from !== selectionRange.to}
+        onClose={() => setIsDetailVisible(false)}
+        onCopy={kind => copyEntries(kind, detailEntry)}
+      />
+
+      <CrashPanel
+        open={isCrashPanelVisible}
+        crashes={crashes}
+        onClose={() => setIsCrashPanelVisible(false)}
+        onJump={jumpToSeq}
+      />
+
+      <BookmarkPanel
+        open={isBookmarkPanelVisible}
+        bookmarks={bookmarks}
+        onClose={() => setIsBookmarkPanelVisible(false)}
+        onJump={jumpToBookmark}
+        onNoteChange={updateBookmark}
+        onRemove={seq => updateBookmark(seq, null)}
+      />
+
+      <HighlightRulesModal
+        open={isHighlightModalVisible}
+        rules={highlightRules}
+        onSave={(rules) => {
+          setIsHighlightModalVisible(false)
+          if (onHighlightRulesChange) {
+            onHighlightRulesChange(rules)
+          }
+        }}
+        onClose={() => setIsHighlightModalVisible(false)}
+      />
+
+      <LogcatOptionsModal
+        open={isOptionsModalVisible}
+        options={logcatOptions}
+        deviceId={selectedDevice}
+        buffers={buffers}
+        onSave={changeLogcatOptions}
+        onClose={() => setIsOptionsModalVisible(false)}
+      />
+
+      <ConnectDeviceModal
+        open={isConnectModalVisible}
+        onClose={() => setIsConnectModalVisible(false)}
+        devices={devices}
+      />
+
       <Modal
         title="配置ADB路径"
         open={isConfigModalVisible}
@@ -0,0 +1,207 @@
+import { forwardRef, useEffect, useImperativeHandle, useMemo, useRef, useState } from 'react'
+import { Input, Button, Tag, Space, Tooltip, message } from 'antd'
+import { RightOutlined, DownOutlined, ArrowDownOutlined } from '@ant-design/icons'
+import { compileQuery } from '../utils/logQuery'
+import { formatLogText } from '../utils/logFormat'
+import { compileHighlightRules, getRowHighlight } from '../utils/highlight'
+import LogTable from './LogTable'
+import HighlightedText from './HighlightedText'
+import { LogLevels } from './LogcatViewer'
+import LogParserWorker from '../workers/logParser.worker.js?worker'
+
+// 合并视图：各标签页转发的日志在独立的 Worker 中按时间戳归并，并增加设备列
+// 通过 ref 暴露 push(source, device, entries) 和 removeSource(source) 给标签页容器
+const MergedLogView = forwardRef(function MergedLogView ({ highlightRules }, ref) {
+  const [viewState, setViewState] = useState({ total: 0, capacity: 0, viewCount: 0, displayCount: 0, scanProgress: null, newCount: 0 })
+  const [windowData, setWindowData] = useState({ start: 0, rows: [] })
+  const [searchKeyword, setSearchKeyword] = useState('')
+  const [caseSensitive, setCaseSensitive] = useState(false)
+  const [follow, setFollow] = useState(true)
+  const [messageApi, contextHolder] = message.useMessage()
+  const workerRef = useRef(null)
+
+  useEffect(() => {
+    const worker = new LogParserWorker()
+    worker.onmessage = (event) => {
+      if (event.data.type === 'state') {
+        setViewState(event.data.payload)
+      } else if (event.data.type === 'window') {
+        setWindowData(event.data.payload)
+      }
+    }
+    worker.onerror = (error) => {
+      console.error('Merged Log Worker Error:', error)
+    }
+    workerRef.current = worker
+    return () => {
+      worker.terminate()
+      workerRef.current = null
+    }
+  }, [])
+
+  useImperativeHandle(ref, () => ({
+    push: (source, device, entries) => {
+      if (workerRef.current) {
+        workerRef.current.postMessage({ type: 'merge', payload: { source, device, entries } })
+      }
+    },
+    removeSource: (source) => {
+      if (workerRef.current) {
+        workerRef.current.postMessage({ type: 'merge-remove', payload: source })
+      }
+    }
+  }), [])
+
+  const searchQuery = useMemo(
+    () => compileQuery(searchKeyword, { caseSensitive }),
+    [searchKeyword, caseSensitive]
+  )
+
+  useEffect(() => {
+    if (workerRef.current) {
+      workerRef.current.postMessage({
+        type: 'filter',
+        payload: { query: searchQuery.error ? '' : searchKeyword, caseSensitive }
+      })
+    }
+  }, [searchQuery])
+
+  // 离开底部后统计新合并的日志条数
+  useEffect(() => {
+    if (workerRef.current) {
+      workerRef.current.postMessage({ type: 'mark', payload: !follow })
+    }
+  }, [follow])
+
+  const highlighter = useMemo(() => compileHighlightRules(highlightRules), [highlightRules])
+
+  const toggleExpand = (record) => {
+    workerRef.current.postMessage({ type: 'expand', payload: { seq: record.seq, expanded: !record.expanded } })
+  }
+
+  const copyRow = (record) => {
+    const text = record.continuation ? record.message : `[${record.device}] ${formatLogText(record)}`
+    navigator.clipboard.writeText(text)
+      .then(() => messageApi.success('已复制到剪贴板'))
+      .catch(() => messageApi.error('复制失败'))
+  }
+
+  const columns = [
+    { title: '设备', dataIndex: 'device', key: 'device', width: 140 },
+    { title: '时间', dataIndex: 'timestamp', key: 'timestamp', width: 180 },
+    { title: '应用', dataIndex: 'processName', key: 'processName', width: 160 },
+    { title: 'PID', dataIndex: 'pid', key: 'pid', width: 70 },
+    {
+      title: '级别',
+      dataIndex: 'level',
+      key: 'level',
+      width: 80,
+      render: (level) => level && (
+        <Tag color={LogLevels[level]?.color}>
+          {LogLevels[level]?.text}
+        </Tag>
+      )
+    },
+    { title: '标签', dataIndex: 'tag', key: 'tag', width: 150 },
+    {
+      title: '消息',
+      dataIndex: 'message',
+      key: 'message',
+      render: (text, record) => {
+        if (record.continuation) {
+          return (
+            <span style={{ fontFamily: 'monospace', paddingLeft: 24 }}>
+              <HighlightedText rules={highlighter} record={record} text={text} />
+            </span>
+          )
+        }
+        if (record.lineCount > 1) {
+          return (
+            <span>
+              <Button
+                type="text"
+                size="small"
+                icon={record.expanded ? <DownOutlined /> : <RightOutlined />}
+                onClick={(e) => {
+                  e.stopPropagation()
+                  toggleExpand(record)
+                }}
+              />
+              <Tag>{record.lineCount} 行</Tag>
+              <HighlightedText rules={highlighter} record={record} text={text.slice(0, text.indexOf('\n'))} />
+            </span>
+          )
+        }
+        return <HighlightedText rules={highlighter} record={record} text={text} />
+      }
+    }
+  ]
+
+  return (
+    <div style={{ height: '100%', display: 'flex', flexDirection: 'column', overflow: 'hidden' }}>
+      {contextHolder}
+      <div style={{ padding: 16, flexShrink: 0 }}>
+        <Space align="start">
+          <div>
+            <Input
+              placeholder='搜索所有设备的日志，如 device:Pixel level>=W tag:Net'
+              value={searchKeyword}
+              onChange={e => setSearchKeyword(e.target.value)}
+              status={searchQuery.error ? 'error' : ''}
+              allowClear
+              style={{ width: 480 }}
+              suffix={
+                <Tooltip title={caseSensitive ? '区分大小写' : '不区分大小写'}>
+                  <Button
+                    size="small"
+                    type={caseSensitive ? 'primary' : 'text'}
+                    onClick={() => setCaseSensitive(prev => !prev)}
+                  >
+                    Aa
+                  </Button>
+                </Tooltip>
+              }
+            />
+            {searchQuery.error && (
+              <div style={{ color: '#ff4d4f', fontSize: 12, marginTop: 4 }}>
+                第 {searchQuery.error.position + 1} 个字符: {searchQuery.error.message}
+              </div>
+            )}
+          </div>
+          <Button onClick={() => workerRef.current.postMessage({ type: 'clear' })}>清除日志</Button>
+          <span style={{ color: '#888', fontSize: 12, lineHeight: '32px' }}>
+            已合并 {viewState.total} / {viewState.capacity} 条 · 显示 {viewState.viewCount} 条
+            {viewState.scanProgress !== null && ` · 正在过滤 ${Math.floor(viewState.scanProgress * 100)}%`}
+          </span>
+        </Space>
+      </div>
+      <div style={{ flex: '1', padding: '0 16px 16px', overflow: 'hidden', position: 'relative' }}>
+        <LogTable
+          columns={columns}
+          rowCount={viewState.displayCount}
+          getRow={(index) => windowData.rows[index - windowData.start]}
+          onRangeChange={(start, end) => workerRef.current && workerRef.current.postMessage({ type: 'window', payload: { start, end } })}
+          onRowClick={copyRow}
+          rowStyle={record => record.marker
+            ? { background: 'rgba(250, 173, 20, 0.15)', fontStyle: 'italic' }
+            : getRowHighlight(highlighter, record)}
+          follow={follow}
+          onFollowChange={setFollow}
+        />
+        {!follow && viewState.newCount > 0 && (
+          <Button
+            type="primary"
+            shape="round"
+            icon={<ArrowDownOutlined />}
+            onClick={() => setFollow(true)}
+            style={{ position: 'absolute', right: 40, bottom: 32, boxShadow: '0 2px 8px rgba(0, 0, 0, 0.25)' }}
+          >
+            {viewState.newCount} 条新日志
+          </Button>
+        )}
+      </div>
+    </div>
+  )
+})
+
+export default MergedLogView
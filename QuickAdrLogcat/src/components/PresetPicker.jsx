@@ -0,0 +1,154 @@
+import { useEffect, useState } from 'react'
+import { Select, Dropdown, Button, Modal, Input, Space, message } from 'antd'
+import { SaveOutlined } from '@ant-design/icons'
+
+// 过滤预设：保存当前会话的过滤条件、搜索、列设置等，一键切换，可导入导出 JSON 与团队共享
+// getSettings() 返回当前会话的设置，onApply(preset) 应用选中的预设
+// onSaved(name) 在保存当前设置为预设后调用，设置本来就是当前的，只需选中该预设而不必重新应用
+export default function PresetPicker ({ value, getSettings, onApply, onSaved }) {
+  const [presets, setPresets] = useState([])
+  const [isSaveModalVisible, setIsSaveModalVisible] = useState(false)
+  const [presetName, setPresetName] = useState('')
+  const [messageApi, contextHolder] = message.useMessage()
+
+  // 其他标签页也可能修改预设，每次展开时重新读取
+  const loadPresets = async () => {
+    const result = await window.adb.getPresets()
+    if (result.success) {
+      setPresets(result.data)
+    }
+  }
+
+  useEffect(() => {
+    loadPresets()
+  }, [])
+
+  const selectPreset = (name) => {
+    const preset = presets.find(p => p.name === name)
+    if (preset) {
+      onApply(preset)
+    }
+  }
+
+  const savePreset = async () => {
+    const result = await window.adb.savePreset(presetName, getSettings())
+    if (!result.success) {
+      messageApi.error(`保存预设失败: ${result.error}`)
+      return
+    }
+    setPresets(result.data)
+    setIsSaveModalVisible(false)
+    messageApi.success(`已保存预设 ${presetName.trim()}`)
+    onSaved(presetName.trim())
+  }
+
+  const deletePreset = () => {
+    Modal.confirm({
+      title: `删除预设 ${value}？`,
+      okText: '删除',
+      okButtonProps: { danger: true },
+      cancelText: '取消',
+      onOk: async () => {
+        const result = await window.adb.deletePreset(value)
+        if (result.success) {
+          setPresets(result.data)
+          onApply(null)
+        }
+      }
+    })
+  }
+
+  const importPresets = async () => {
+    const files = window.utools.showOpenDialog({
+      title: '导入预设',
+      filters: [{ name: 'JSON', extensions: ['json'] }],
+      properties: ['openFile']
+    })
+    if (!files || files.length === 0) {
+      return
+    }
+    const result = await window.adb.importPresets(files[0])
+    if (!result.success) {
+      messageApi.error(`导入预设失败: ${result.error}`)
+      return
+    }
+    setPresets(result.data)
+    messageApi.success('预设已导入')
+  }
+
+  const exportPresets = async () => {
+    const filePath = window.utools.showSaveDialog({
+      title: '导出预设',
+      defaultPath: window.logFile.getDefaultPath('logcat-presets.json'),
+      filters: [{ name: 'JSON', extensions: ['json'] }]
+    })
+    if (!filePath) {
+      return
+    }
+    const result = await window.adb.exportPresets(filePath)
+    if (!result.success) {
+      messageApi.error(`导出预设失败: ${result.error}`)
+      return
+    }
+    messageApi.success(`已导出 ${result.data} 个预设到 ${filePath}`)
+  }
+
+  const menuItems = [
+    { key: 'save', label: '保存当前设置为预设...' },
+    { key: 'delete', label: '删除当前预设', disabled: !value, danger: true },
+    { type: 'divider' },
+    { key: 'import', label: '导入预设...' },
+    { key: 'export', label: '导出全部预设...', disabled: presets.length === 0 }
+  ]
+
+  const handleMenuClick = ({ key }) => {
+    if (key === 'save') {
+      setPresetName(value || '')
+      setIsSaveModalVisible(true)
+    } else if (key === 'delete') {
+      deletePreset()
+    } else if (key === 'import') {
+      importPresets()
+    } else if (key === 'export') {
+      exportPresets()
+    }
+  }
+
+  return (
+    <>
+      {contextHolder}
+      <Space.Compact>
+        <Select
+          style={{ width: 160 }}
+          value={value || undefined}
+          onChange={selectPreset}
+          onDropdownVisibleChange={open => open && loadPresets()}
+          options={presets.map(p => ({ value: p.name, label: p.name }))}
+          placeholder="过滤预设"
+          notFoundContent="暂无预设"
+        />
+        <Dropdown menu={{ items: menuItems, onClick: handleMenuClick }} trigger={['click']}>
+          <Button icon={<SaveOutlined />} />
+        </Dropdown>
+      </Space.Compact>
+      <Modal
+        title="保存预设"
+        open={isSaveModalVisible}
+        onOk={savePreset}
+        okButtonProps={{ disabled: !presetName.trim() }}
+        onCancel={() => setIsSaveModalVisible(false)}
+      >
+        <Input
+          value={presetName}
+          onChange={e => setPresetName(e.target.value)}
+          onPressEnter={() => presetName.trim() && savePreset()}
+          placeholder="预设名称，如 Network、Crash hunt"
+          autoFocus
+        />
+        <div style={{ color: '#888', fontSize: 12, marginTop: 8 }}>
+          同名预设将被覆盖。保存内容包括过滤器、搜索条件、列设置、缓冲区、输出格式和跟踪的应用。
+        </div>
+      </Modal>
+    </>
+  )
+}
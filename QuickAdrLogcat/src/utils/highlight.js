@@ -0,0 +1,129 @@
+// 高亮规则：满足条件的日志行或消息中匹配的片段使用自定义的背景色、文字颜色和粗体
+//
+// 规则结构: { id, enabled, name, condition, pattern, ignoreCase, target, background, color, bold }
+// - condition: 搜索查询语法的条件（如 tag:Payment pid:1234），为空表示不限
+// - pattern: 正则表达式，target 为 row 时要求消息匹配，为 text 时高亮消息中匹配的片段
+// - target: row 整行着色，text 只给匹配的片段着色
+
+import { compileQuery } from './logQuery'
+
+export const HighlightTargets = {
+  row: '整行',
+  text: '匹配片段'
+}
+
+export function createHighlightRule () {
+  return {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    enabled: true,
+    name: '',
+    condition: '',
+    pattern: '',
+    ignoreCase: true,
+    target: 'row',
+    background: '#fff3b0',
+    color: '',
+    bold: false
+  }
+}
+
+// 校验单条规则，返回错误信息，没有错误时返回 null
+export function validateHighlightRule (rule) {
+  if (!rule.condition.trim() && !rule.pattern) {
+    return '请填写条件或正则'
+  }
+  if (rule.target === 'text' && !rule.pattern) {
+    return '高亮片段需要填写正则'
+  }
+  const { error } = compileQuery(rule.condition)
+  if (error) {
+    return `条件第 ${error.position + 1} 个字符: ${error.message}`
+  }
+  if (rule.pattern) {
+    try {
+      new RegExp(rule.pattern)
+    } catch (e) {
+      return `无效的正则: ${e.message}`
+    }
+  }
+  return null
+}
+
+// 编译启用且有效的规则，保持原有顺序（靠前的规则优先）
+export function compileHighlightRules (rules) {
+  return (rules || [])
+    .filter(rule => rule.enabled && !validateHighlightRule(rule))
+    .map(rule => ({
+      rule,
+      predicate: compileQuery(rule.condition).predicate,
+      regex: rule.pattern ? new RegExp(rule.pattern, rule.ignoreCase ? 'gi' : 'g') : null,
+      style: {
+        ...(rule.background ? { background: rule.background } : null),
+        ...(rule.color ? { color: rule.color } : null),
+        ...(rule.bold ? { fontWeight: 600 } : null)
+      }
+    }))
+}
+
+function testRegex (regex, text) {
+  regex.lastIndex = 0
+  return regex.test(text)
+}
+
+// 整行的样式，取第一条匹配的 row 规则。展开的续行带有所属日志的字段，正则按该行的内容判断
+export function getRowHighlight (compiled, record) {
+  for (const item of compiled) {
+    if (item.rule.target !== 'row') {
+      continue
+    }
+    if (item.predicate && !item.predicate(record)) {
+      continue
+    }
+    if (item.regex && !testRegex(item.regex, record.message || '')) {
+      continue
+    }
+    return item.style
+  }
+  return null
+}
+
+// 把消息文本拆分为 [{ text, style }] 片段，style 为空的片段不需要高亮；没有匹配时返回 null
+// 多条规则的匹配区间重叠时，靠前的规则优先
+export function highlightText (compiled, record, text) {
+  const ranges = []
+  compiled.forEach(item => {
+    if (item.rule.target !== 'text' || (item.predicate && !item.predicate(record))) {
+      return
+    }
+    item.regex.lastIndex = 0
+    let match
+    while ((match = item.regex.exec(text)) !== null) {
+      if (match[0].length === 0) {
+        item.regex.lastIndex++
+        continue
+      }
+      const start = match.index
+      const end = start + match[0].length
+      if (!ranges.some(r => start < r.end && end > r.start)) {
+        ranges.push({ start, end, style: item.style })
+      }
+    }
+  })
+  if (ranges.length === 0) {
+    return null
+  }
+  ranges.sort((a, b) => a.start - b.start)
+  const segments = []
+  let position = 0
+  ranges.forEach(range => {
+    if (range.start > position) {
+      segments.push({ text: text.slice(position, range.start), style: null })
+    }
+    segments.push({ text: text.slice(range.start, range.end), style: range.style })
+    position = range.end
+  })
+  if (position < text.length) {
+    segments.push({ text: text.slice(position), style: null })
+  }
+  return segments
+}
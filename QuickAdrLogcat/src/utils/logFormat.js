@@ -0,0 +1,41 @@
+// 日志条目的文本化，供复制与导出共用
+
+// 导出 CSV 时的列，bookmarked 表示该行有书签（书签备注可以为空），bookmark 为书签备注
+export const EXPORT_FIELDS = ['timestamp', 'buffer', 'uid', 'pid', 'tid', 'processName', 'level', 'tag', 'message', 'bookmarked', 'bookmark']
+
+// 按 threadtime 格式输出，多行日志的每一行都带上日志头；无法解析的原始行原样输出
+export function formatLogText (entry) {
+  if (entry.raw) {
+    return entry.message
+  }
+  const header = `${entry.timestamp} ${String(entry.pid).padStart(5)} ${String(entry.tid).padStart(5)} ${entry.level} ${entry.tag.padEnd(8)}: `
+  return entry.message.split('\n').map(line => header + line).join('\n')
+}
+
+// JSON Lines 中的一行，保留所有解析出的字段（不含渲染用的 key）
+export function formatJsonLine (entry) {
+  const { key, ...fields } = entry
+  return JSON.stringify(fields)
+}
+
+function escapeCsv (value) {
+  const text = value == null ? '' : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export function formatCsvHeader () {
+  return EXPORT_FIELDS.join(',')
+}
+
+export function formatCsvRow (entry) {
+  const values = { ...entry, bookmarked: entry.bookmark != null ? 'true' : '' }
+  return EXPORT_FIELDS.map(field => escapeCsv(values[field])).join(',')
+}
+
+// 导出格式: 文件扩展名、表头和逐行格式化函数；bookmarks 说明书签的保存方式，文本格式不保存书签
+// 只有 JSON Lines 在重新打开时能恢复书签
+export const ExportFormats = {
+  text: { label: '文本 (threadtime)', extension: 'txt', header: null, format: formatLogText, bookmarks: null },
+  json: { label: 'JSON Lines', extension: 'jsonl', header: null, format: formatJsonLine, bookmarks: '含书签，重新打开时恢复' },
+  csv: { label: 'CSV', extension: 'csv', header: formatCsvHeader, format: formatCsvRow, bookmarks: '书签在 bookmark 列，重新打开时不恢复' }
+}
@@ -0,0 +1,375 @@
+// 日志搜索查询语言
+//
+// 语法示例: tag:ActivityManager level>=W -message:"GC freed" pid:1234 /timeout \d+ms/
+// - 空格分隔的条件默认取 AND，可用 OR（或 |）连接，括号分组
+// - 前缀 - 或 ! 表示排除
+// - 字段: tag、message(msg)、level、pid、tid、uid、app(process/package)、buffer、device（合并视图），未指定字段时匹配消息、标签和应用
+// - 运算符: ":" 包含（level 为不低于），"=" 完全相等，"!=" 不相等，level/pid/tid 支持 > >= < <=
+// - 值可以是普通单词、"带空格的短语" 或 /正则/flags
+
+const LEVEL_ORDER = ['V', 'D', 'I', 'W', 'E', 'F']
+
+const LEVEL_ALIASES = {
+  verbose: 'V',
+  debug: 'D',
+  info: 'I',
+  warn: 'W',
+  warning: 'W',
+  error: 'E',
+  fatal: 'F',
+  assert: 'F',
+  a: 'F'
+}
+
+const FIELD_ALIASES = {
+  tag: 'tag',
+  message: 'message',
+  msg: 'message',
+  level: 'level',
+  pid: 'pid',
+  tid: 'tid',
+  uid: 'uid',
+  app: 'app',
+  process: 'app',
+  package: 'app',
+  buffer: 'buffer',
+  device: 'device'
+}
+
+const NUMERIC_FIELDS = ['pid', 'tid']
+const COMPARE_OPERATORS = ['>', '>=', '<', '<=']
+
+export class QuerySyntaxError extends Error {
+  constructor (message, position) {
+    super(message)
+    this.name = 'QuerySyntaxError'
+    this.position = position
+  }
+}
+
+// 词法分析，输出 { type, value, position } 序列
+function tokenize (input) {
+  const tokens = []
+  let i = 0
+
+  const readQuoted = () => {
+    const start = i
+    i++
+    let value = ''
+    while (i < input.length && input[i] !== '"') {
+      if (input[i] === '\\' && i + 1 < input.length) {
+        i++
+      }
+      value += input[i]
+      i++
+    }
+    if (i >= input.length) {
+      throw new QuerySyntaxError('引号未闭合', start)
+    }
+    i++
+    return { kind: 'text', value }
+  }
+
+  const readRegex = () => {
+    const start = i
+    i++
+    let source = ''
+    while (i < input.length && input[i] !== '/') {
+      if (input[i] === '\\' && i + 1 < input.length) {
+        source += input[i]
+        i++
+      }
+      source += input[i]
+      i++
+    }
+    if (i >= input.length) {
+      throw new QuerySyntaxError('正则表达式缺少结尾的 /', start)
+    }
+    i++
+    let flags = ''
+    while (i < input.length && /[a-z]/.test(input[i])) {
+      flags += input[i]
+      i++
+    }
+    return { kind: 'regex', source, flags, position: start }
+  }
+
+  const readBare = () => {
+    let value = ''
+    while (i < input.length && !/[\s()]/.test(input[i])) {
+      value += input[i]
+      i++
+    }
+    return { kind: 'text', value }
+  }
+
+  const readValue = () => {
+    if (input[i] === '"') {
+      return readQuoted()
+    }
+    if (input[i] === '/') {
+      return readRegex()
+    }
+    return readBare()
+  }
+
+  while (i < input.length) {
+    const ch = input[i]
+    if (/\s/.test(ch)) {
+      i++
+      continue
+    }
+
+    const position = i
+    if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch, position })
+      i++
+      continue
+    }
+    if (ch === '|') {
+      i += input[i + 1] === '|' ? 2 : 1
+      tokens.push({ type: 'OR', position })
+      continue
+    }
+    if (ch === '&' && input[i + 1] === '&') {
+      i += 2
+      tokens.push({ type: 'AND', position })
+      continue
+    }
+    if ((ch === '-' || ch === '!') && i + 1 < input.length && !/[\s)]/.test(input[i + 1])) {
+      i++
+      tokens.push({ type: 'NOT', position })
+      continue
+    }
+
+    const qualifier = input.slice(i).match(/^([a-zA-Z]+)(>=|<=|!=|:|=|>|<)/)
+    if (qualifier && FIELD_ALIASES[qualifier[1].toLowerCase()]) {
+      i += qualifier[0].length
+      if (i >= input.length || /\s/.test(input[i])) {
+        throw new QuerySyntaxError(`字段 ${qualifier[1]} 缺少值`, position)
+      }
+      const field = FIELD_ALIASES[qualifier[1].toLowerCase()]
+      tokens.push({ type: 'TERM', field, operator: qualifier[2], value: readValue(), position })
+      continue
+    }
+
+    const value = readValue()
+    if (value.kind === 'text' && ['AND', 'OR', 'NOT'].includes(value.value)) {
+      tokens.push({ type: value.value, position })
+    } else {
+      tokens.push({ type: 'TERM', field: 'text', operator: ':', value, position })
+    }
+  }
+  return tokens
+}
+
+// 语法分析，生成 { type: 'and' | 'or' | 'not' | 'term' } 语法树
+function parse (tokens) {
+  let index = 0
+  const peek = () => tokens[index]
+
+  const parseOr = () => {
+    const nodes = [parseAnd()]
+    while (peek() && peek().type === 'OR') {
+      index++
+      if (!peek() || peek().type === ')') {
+        throw new QuerySyntaxError('OR 后缺少条件', tokens[index - 1].position)
+      }
+      nodes.push(parseAnd())
+    }
+    return nodes.length === 1 ? nodes[0] : { type: 'or', nodes }
+  }
+
+  const parseAnd = () => {
+    const nodes = [parseUnary()]
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') {
+        index++
+      }
+      nodes.push(parseUnary())
+    }
+    return nodes.length === 1 ? nodes[0] : { type: 'and', nodes }
+  }
+
+  const parseUnary = () => {
+    const token = peek()
+    if (!token) {
+      throw new QuerySyntaxError('查询不完整', tokens.length ? tokens[tokens.length - 1].position : 0)
+    }
+    if (token.type === 'NOT') {
+      index++
+      return { type: 'not', node: parseUnary() }
+    }
+    if (token.type === '(') {
+      index++
+      const node = parseOr()
+      if (!peek() || peek().type !== ')') {
+        throw new QuerySyntaxError('括号未闭合', token.position)
+      }
+      index++
+      return node
+    }
+    if (token.type === 'TERM') {
+      index++
+      return { type: 'term', ...token }
+    }
+    throw new QuerySyntaxError(`意外的 ${token.type}`, token.position)
+  }
+
+  const tree = parseOr()
+  if (index < tokens.length) {
+    throw new QuerySyntaxError(`意外的 ${tokens[index].type}`, tokens[index].position)
+  }
+  return tree
+}
+
+function normalizeLevel (value, position) {
+  const upper = value.toUpperCase()
+  const level = LEVEL_ORDER.includes(upper) ? upper : LEVEL_ALIASES[value.toLowerCase()]
+  if (!level) {
+    throw new QuerySyntaxError(`未知的日志级别: ${value}`, position)
+  }
+  return LEVEL_ORDER.indexOf(level)
+}
+
+function compare (left, operator, right) {
+  switch (operator) {
+    case '>': return left > right
+    case '>=': return left >= right
+    case '<': return left < right
+    case '<=': return left <= right
+    case '!=': return left !== right
+    default: return left === right
+  }
+}
+
+// 把单个条件编译为 entry => boolean
+function compileTerm (node, options) {
+  const { field, operator, value, position } = node
+  const { caseSensitive, getProcessName } = options
+
+  if (field === 'level') {
+    if (value.kind !== 'text') {
+      throw new QuerySyntaxError('level 不支持正则', position)
+    }
+    const target = normalizeLevel(value.value, position)
+    // level:W 与 Android Studio 一致，表示 W 及以上
+    const op = operator === ':' ? '>=' : operator
+    return entry => {
+      const level = LEVEL_ORDER.indexOf(entry.level === 'A' ? 'F' : entry.level)
+      return level >= 0 && compare(level, op, target)
+    }
+  }
+
+  if (COMPARE_OPERATORS.includes(operator) && !NUMERIC_FIELDS.includes(field)) {
+    throw new QuerySyntaxError(`字段 ${field} 不支持 ${operator}`, position)
+  }
+
+  const getters = {
+    text: entry => [entry.message, entry.tag, getProcessName(entry)],
+    message: entry => [entry.message],
+    tag: entry => [entry.tag],
+    pid: entry => [entry.pid],
+    tid: entry => [entry.tid],
+    uid: entry => [entry.uid],
+    app: entry => [getProcessName(entry)],
+    buffer: entry => [entry.buffer],
+    device: entry => [entry.device]
+  }
+  const getValues = getters[field]
+
+  if (value.kind === 'regex') {
+    if (operator !== ':' && operator !== '=') {
+      throw new QuerySyntaxError(`正则不支持运算符 ${operator}`, position)
+    }
+    let regex
+    try {
+      const flags = value.flags || (caseSensitive ? '' : 'i')
+      regex = new RegExp(value.source, flags.replace(/[gy]/g, ''))
+    } catch (error) {
+      throw new QuerySyntaxError(`无效的正则: ${error.message}`, value.position)
+    }
+    return entry => getValues(entry).some(v => v != null && regex.test(v))
+  }
+
+  if (NUMERIC_FIELDS.includes(field) && COMPARE_OPERATORS.includes(operator)) {
+    const target = Number(value.value)
+    if (!Number.isFinite(target)) {
+      throw new QuerySyntaxError(`${field} 需要数字`, position)
+    }
+    return entry => entry[field] !== '' && compare(Number(entry[field]), operator, target)
+  }
+
+  const normalize = text => caseSensitive ? String(text ?? '') : String(text ?? '').toLowerCase()
+  const target = normalize(value.value)
+  // pid/tid/uid/buffer 的 ":" 也按完全相等处理
+  const exact = operator !== ':' || ['pid', 'tid', 'uid', 'buffer'].includes(field)
+  const matches = exact
+    ? v => normalize(v) === target
+    : v => normalize(v).includes(target)
+  if (operator === '!=') {
+    return entry => !getValues(entry).some(matches)
+  }
+  return entry => getValues(entry).some(matches)
+}
+
+function compileNode (node, options) {
+  switch (node.type) {
+    case 'and': {
+      const predicates = node.nodes.map(n => compileNode(n, options))
+      return entry => predicates.every(p => p(entry))
+    }
+    case 'or': {
+      const predicates = node.nodes.map(n => compileNode(n, options))
+      return entry => predicates.some(p => p(entry))
+    }
+    case 'not': {
+      const predicate = compileNode(node.node, options)
+      return entry => !predicate(entry)
+    }
+    default:
+      return compileTerm(node, options)
+  }
+}
+
+/**
+ * 编译搜索查询
+ * @param {string} input 查询文本
+ * @param {{ caseSensitive?: boolean, getProcessName?: (entry: object) => string }} options
+ * @returns {{ predicate: ((entry: object) => boolean) | null, error: { message: string, position: number } | null }}
+ *   查询为空时 predicate 为 null，表示不过滤
+ */
+export function compileQuery (input, options = {}) {
+  if (!input || !input.trim()) {
+    return { predicate: null, error: null }
+  }
+  const compileOptions = {
+    caseSensitive: !!options.caseSensitive,
+    getProcessName: options.getProcessName || (entry => entry.processName || '')
+  }
+  try {
+    const tree = parse(tokenize(input))
+    return { predicate: compileNode(tree, compileOptions), error: null }
+  } catch (error) {
+    if (error instanceof QuerySyntaxError) {
+      return { predicate: null, error: { message: error.message, position: error.position } }
+    }
+    throw error
+  }
+}
+
+/**
+ * 生成一个查询条件，值包含空格、括号、引号等时加引号，用于从日志行快速添加过滤
+ * @param {string} field 字段名，如 tag、pid
+ * @param {string} operator 运算符，如 ":"、"="
+ * @param {string} value 值
+ * @param {boolean} [exclude] 是否为排除条件
+ * @returns {string}
+ */
+export function formatQueryTerm (field, operator, value, exclude = false) {
+  const text = String(value)
+  const quoted = text === '' || /[\s()"|]|^[-!/]/.test(text)
+    ? `"${text.replace(/[\\"]/g, '\\$&')}"`
+    : text
+  return `${exclude ? '-' : ''}${field}${operator}${quoted}`
+}
@@ -0,0 +1,64 @@
+// 日志时间戳与毫秒时间的转换，Worker 解析日志和界面输入时间条件共用
+//
+// logcat 默认的时间戳 "MM-DD HH:mm:ss.SSS" 不含年份和时区，按设备时钟补全:
+// clock 为 { year, month, offset }，month 为 1~12，offset 为相对 UTC 的分钟数（东八区为 480）
+
+const DATE_TIME = /^\s*(?:(\d{4})-)?(\d{1,2})-(\d{1,2})\s+(\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?(?:\s+([+-])(\d{2})(\d{2}))?/
+const EPOCH = /^\s*(\d+)(?:\.(\d+))?\s*$/
+// 小于该值的 "秒.毫秒" 是 monotonic 修饰符输出的开机时长，无法换算为时间
+const MIN_EPOCH_SECONDS = 1000000000
+
+// 以本机时间为准的时钟，打开文件或取不到设备时间时使用
+export function createClock (date = new Date()) {
+  return {
+    year: date.getFullYear(),
+    month: date.getMonth() + 1,
+    offset: -date.getTimezoneOffset()
+  }
+}
+
+/**
+ * 把时间戳转换为毫秒时间
+ * 没有年份时取时钟的年份，月份晚于时钟当前月份的日志属于上一年（跨年查看去年年底的日志）
+ * 也接受省略秒的输入，如 "10-18 12:00"，用于界面上的时间条件
+ * @param {string} timestamp 时间戳
+ * @param {{ year: number, month: number, offset: number }} clock 设备时钟
+ * @returns {number | null} 无法换算时返回 null
+ */
+export function parseLogTimestamp (timestamp, clock) {
+  if (!timestamp) {
+    return null
+  }
+  const match = timestamp.match(DATE_TIME)
+  if (match) {
+    const [, year, month, day, hour, minute, second = '0', fraction = '0', sign, zoneHours, zoneMinutes] = match
+    const monthNumber = Number(month)
+    const fullYear = year ? Number(year) : clock.year - (monthNumber > clock.month ? 1 : 0)
+    const offset = sign
+      ? (sign === '-' ? -1 : 1) * (Number(zoneHours) * 60 + Number(zoneMinutes))
+      : clock.offset
+    const milliseconds = Number(fraction.padEnd(3, '0').slice(0, 3))
+    return Date.UTC(fullYear, monthNumber - 1, Number(day), Number(hour), Number(minute), Number(second), milliseconds) -
+      offset * 60000
+  }
+  const epoch = timestamp.match(EPOCH)
+  if (epoch && Number(epoch[1]) >= MIN_EPOCH_SECONDS) {
+    return Number(epoch[1]) * 1000 + Number((epoch[2] || '0').padEnd(3, '0').slice(0, 3))
+  }
+  return null
+}
+
+/**
+ * 把用户输入的时间整理为 logcat -T 接受的 "MM-DD HH:mm:ss.SSS"（或带年份的）格式
+ * @param {string} text 用户输入，秒和毫秒可以省略
+ * @returns {string | null} 格式不对时返回 null
+ */
+export function toLogcatTime (text) {
+  const match = (text || '').match(DATE_TIME)
+  if (!match || match[0].trim() !== text.trim()) {
+    return null
+  }
+  const [, year, month, day, hour, minute, second = '0', fraction = '0'] = match
+  const pad = value => String(value).padStart(2, '0')
+  return `${year ? `${year}-` : ''}${pad(month)}-${pad(day)} ${pad(hour)}:${minute}:${pad(second)}.${fraction.padEnd(3, '0')}`
+}
@@ -0,0 +1,124 @@
+// 从日志消息中提取 JSON / XML 片段并格式化，供详情面板展示
+
+// 超长消息只检查前面这部分，避免逐字符尝试解析耗时过长
+const MAX_SCAN_LENGTH = 65536
+// 最多提取的片段数
+const MAX_BLOCKS = 5
+
+// 从 start 处的 { 或 [ 开始找到配对的结尾（跳过字符串中的括号），找不到时返回 -1
+function findClosingBracket (text, start) {
+  const stack = []
+  let inString = false
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i]
+    if (inString) {
+      if (ch === '\\') {
+        i++
+      } else if (ch === '"') {
+        inString = false
+      }
+    } else if (ch === '"') {
+      inString = true
+    } else if (ch === '{' || ch === '[') {
+      stack.push(ch === '{' ? '}' : ']')
+    } else if (ch === '}' || ch === ']') {
+      if (stack.pop() !== ch) {
+        return -1
+      }
+      if (stack.length === 0) {
+        return i
+      }
+    }
+  }
+  return -1
+}
+
+// 只保留有意义的 JSON：对象，或包含多个元素/嵌套结构的数组，排除 [main]、[1] 这类普通文本
+function isMeaningfulJson (value) {
+  if (Array.isArray(value)) {
+    return value.length > 1 || value.some(item => item !== null && typeof item === 'object')
+  }
+  return value !== null && typeof value === 'object'
+}
+
+function extractJson (text) {
+  const blocks = []
+  let i = 0
+  while (i < text.length && blocks.length < MAX_BLOCKS) {
+    const ch = text[i]
+    if (ch === '{' || ch === '[') {
+      const end = findClosingBracket(text, i)
+      if (end > i) {
+        try {
+          const value = JSON.parse(text.slice(i, end + 1))
+          if (isMeaningfulJson(value)) {
+            blocks.push({ type: 'json', text: JSON.stringify(value, null, 2) })
+            i = end + 1
+            continue
+          }
+        } catch (error) {
+          // 不是合法的 JSON，继续从下一个字符查找
+        }
+      }
+    }
+    i++
+  }
+  return blocks
+}
+
+// 按标签缩进 XML，<a>text</a> 这样的简单元素保持在一行
+function formatXml (xml) {
+  const tokens = xml.split(/(<[^>]+>)/).map(token => token.trim()).filter(Boolean)
+  const lines = []
+  let depth = 0
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i]
+    const indent = '  '.repeat(depth)
+    if (token.startsWith('</')) {
+      depth = Math.max(depth - 1, 0)
+      lines.push('  '.repeat(depth) + token)
+    } else if (token.startsWith('<') && !token.endsWith('/>') && !/^<[?!]/.test(token)) {
+      const next = tokens[i + 1]
+      const close = tokens[i + 2]
+      if (next && !next.startsWith('<') && close && close.startsWith('</')) {
+        lines.push(indent + token + next + close)
+        i += 2
+      } else {
+        lines.push(indent + token)
+        depth++
+      }
+    } else {
+      lines.push(indent + token)
+    }
+  }
+  return lines.join('\n')
+}
+
+function extractXml (text) {
+  const start = text.search(/<[A-Za-z?!]/)
+  const end = text.lastIndexOf('>')
+  if (start < 0 || end <= start) {
+    return []
+  }
+  const xml = text.slice(start, end + 1)
+  // 至少要有一对完整的标签或自闭合标签
+  if (!/<\/[\w:.-]+>|\/>/.test(xml)) {
+    return []
+  }
+  const doc = new DOMParser().parseFromString(xml, 'application/xml')
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    return []
+  }
+  return [{ type: 'xml', text: formatXml(xml) }]
+}
+
+/**
+ * 提取消息中的 JSON 和 XML 片段
+ * @param {string} message 日志消息
+ * @returns {{ type: 'json' | 'xml', text: string }[]} 格式化后的片段，没有时为空数组
+ */
+export function extractStructured (message) {
+  const text = message.length > MAX_SCAN_LENGTH ? message.slice(0, MAX_SCAN_LENGTH) : message
+  const blocks = extractJson(text)
+  return blocks.length > 0 ? blocks : extractXml(text)
+}
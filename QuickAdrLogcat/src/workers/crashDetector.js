@@ -0,0 +1,205 @@
+// 崩溃检测：从日志流中识别 Java 崩溃、ANR 和 native 崩溃（Fatal signal / tombstone），整理为结构化记录
+//
+// 记录结构: { id, seq, type, timestamp, process, pid, thread, exception, message, cause, frames }
+// - type: java | anr | native
+// - seq: 崩溃开始的那条日志，用于跳转
+// - frames: 顶部的若干栈帧
+// 崩溃信息通常跨多行，可能合并在一条多行日志中，也可能是同一 tag/pid 的连续多条日志
+
+const MAX_FRAMES = 8;
+
+const JAVA_START = /^\*?\s*FATAL EXCEPTION(?: IN SYSTEM PROCESS)?:\s*(.*)$/;
+const ANR_START = /^ANR in (\S+)(?:\s+\((.*)\))?/;
+// "Fatal signal 11 (SIGSEGV), code 1 (SEGV_MAPERR), fault addr 0x0 in tid 1250 (RenderThread), pid 1234 (com.example)"
+const FATAL_SIGNAL = /^Fatal signal \d+ \((\w+)\)(?:, (code -?\d+ \([^)]*\)(?:, fault addr \S+)?))?(?: in tid \d+ \(([^)]*)\))?(?:, pid (\d+) \(([^)]*)\))?/;
+const TOMBSTONE_START = /^(?:\*\*\* ){5,}\*\*\*$/;
+
+const JAVA_PROCESS = /^Process: ([^,\s]+), PID: (\d+)/;
+const JAVA_FRAME = /^\s*at\s+(.+)$/;
+const JAVA_CAUSE = /^Caused by: ([\w$.]+)(?::\s*(.*))?$/;
+const JAVA_EXCEPTION = /^([a-zA-Z_$][\w$]*(?:\.[\w$]+)+)(?::\s*(.*))?$/;
+const ANR_PID = /^PID:\s*(\d+)/;
+const ANR_REASON = /^Reason:\s*(.*)$/;
+const TOMBSTONE_PROCESS = /^pid: (\d+), tid: \d+, name: (.*?)\s+>>> (.*?) <<</;
+const TOMBSTONE_SIGNAL = /^signal \d+ \((\w+)\), (code -?\d+ \([^)]*\)(?:, fault addr \S+)?)/;
+const TOMBSTONE_ABORT = /^Abort message: '(.*)'$/;
+const NATIVE_FRAME = /^\s*#\d+ pc [0-9a-fA-F]+\s+(.*)$/;
+
+export class CrashDetector {
+  constructor(maxCrashes) {
+    this.maxCrashes = maxCrashes;
+    this.crashes = [];
+    this.nextId = 1;
+    // 正在收集后续行的崩溃: { kind, tag, pid, record }，tombstone 在解析到 pid 行之前 record 为 null
+    this.open = null;
+  }
+
+  clear() {
+    this.crashes = [];
+    this.open = null;
+  }
+
+  // 检查一条已写入缓冲区的日志，返回崩溃记录是否有变化
+  add(entry, processName) {
+    if (entry.raw) {
+      return false;
+    }
+    if (this.open && (this.open.tag !== entry.tag || this.open.pid !== entry.pid)) {
+      this.open = null;
+    }
+    let changed = false;
+    entry.message.split('\n').forEach(line => {
+      changed = this.addLine(entry, processName, line) || changed;
+    });
+    return changed;
+  }
+
+  addLine(entry, processName, line) {
+    let match = line.match(JAVA_START);
+    if (match) {
+      const record = this.create(entry, processName, 'java');
+      record.thread = match[1];
+      this.open = { kind: 'java', tag: entry.tag, pid: entry.pid, record };
+      return true;
+    }
+    match = line.match(ANR_START);
+    if (match) {
+      const record = this.create(entry, processName, 'anr');
+      record.process = match[1];
+      record.exception = 'ANR';
+      record.message = match[2] || '';
+      // ANR 由 system_server 输出，日志的 pid 不是发生 ANR 的进程
+      record.pid = '';
+      this.open = { kind: 'anr', tag: entry.tag, pid: entry.pid, record };
+      return true;
+    }
+    match = line.match(FATAL_SIGNAL);
+    if (match) {
+      const record = this.create(entry, processName, 'native');
+      record.exception = match[1];
+      record.message = match[2] || '';
+      record.thread = match[3] || '';
+      record.pid = match[4] || entry.pid;
+      record.process = match[5] || processName;
+      this.open = null;
+      return true;
+    }
+    if (TOMBSTONE_START.test(line)) {
+      this.open = { kind: 'tombstone', tag: entry.tag, pid: entry.pid, record: null };
+      return false;
+    }
+    if (!this.open) {
+      return false;
+    }
+    if (this.open.kind === 'java') {
+      return this.addJavaLine(this.open.record, line);
+    }
+    if (this.open.kind === 'anr') {
+      return this.addAnrLine(this.open.record, line);
+    }
+    return this.addTombstoneLine(entry, processName, line);
+  }
+
+  addJavaLine(record, line) {
+    let match = line.match(JAVA_FRAME);
+    if (match) {
+      // 只保留最外层异常的栈帧
+      if (!record.cause && record.frames.length < MAX_FRAMES) {
+        record.frames.push(match[1]);
+        return true;
+      }
+      return false;
+    }
+    match = line.match(JAVA_PROCESS);
+    if (match) {
+      record.process = match[1];
+      record.pid = match[2];
+      return true;
+    }
+    match = line.match(JAVA_CAUSE);
+    if (match) {
+      // 多层 Caused by 时保留最内层的根因
+      record.cause = match[2] ? `${match[1]}: ${match[2]}` : match[1];
+      return true;
+    }
+    match = !record.exception && line.match(JAVA_EXCEPTION);
+    if (match) {
+      record.exception = match[1];
+      record.message = match[2] || '';
+      return true;
+    }
+    return false;
+  }
+
+  addAnrLine(record, line) {
+    let match = line.match(ANR_PID);
+    if (match) {
+      record.pid = match[1];
+      return true;
+    }
+    match = line.match(ANR_REASON);
+    if (match) {
+      record.message = match[1];
+      return true;
+    }
+    return false;
+  }
+
+  addTombstoneLine(entry, processName, line) {
+    let match = line.match(TOMBSTONE_PROCESS);
+    if (match) {
+      // tombstone 通常紧跟在同一进程的 Fatal signal 之后，归入同一条记录
+      const existing = this.crashes.slice(-5).reverse()
+        .find(crash => crash.type === 'native' && crash.pid === match[1] && !crash.tombstone);
+      const record = existing || this.create(entry, processName, 'native');
+      record.pid = match[1];
+      record.thread = record.thread || match[2];
+      record.process = match[3];
+      record.tombstone = true;
+      this.open.record = record;
+      return true;
+    }
+    const record = this.open.record;
+    if (!record) {
+      return false;
+    }
+    match = line.match(TOMBSTONE_SIGNAL);
+    if (match) {
+      record.exception = match[1];
+      record.message = record.message || match[2];
+      return true;
+    }
+    match = line.match(TOMBSTONE_ABORT);
+    if (match) {
+      record.message = match[1];
+      return true;
+    }
+    match = line.match(NATIVE_FRAME);
+    if (match && record.frames.length < MAX_FRAMES) {
+      record.frames.push(match[1]);
+      return true;
+    }
+    return false;
+  }
+
+  create(entry, processName, type) {
+    const record = {
+      id: this.nextId++,
+      seq: entry.seq,
+      type,
+      timestamp: entry.timestamp,
+      process: processName,
+      pid: entry.pid,
+      thread: '',
+      exception: '',
+      message: '',
+      cause: '',
+      frames: []
+    };
+    this.crashes.push(record);
+    if (this.crashes.length > this.maxCrashes) {
+      this.crashes.shift();
+    }
+    return record;
+  }
+}
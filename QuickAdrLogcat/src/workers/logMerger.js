@@ -0,0 +1,79 @@
+// 合并视图：把多个设备的日志按时间戳归并为一个序列
+
+// k 路归并：每个来源各自有序，只有所有来源都有待处理日志时才能确定最早的一条。
+// 某个来源超过 idleTimeout 没有新日志时不再等待它，以免一台安静的设备卡住整个视图
+export class LogMerger {
+  constructor(idleTimeout) {
+    this.idleTimeout = idleTimeout;
+    this.sources = new Map(); // source -> { queue, head, lastKey, lastSeen }
+  }
+
+  get pending() {
+    let count = 0;
+    for (const source of this.sources.values()) {
+      count += source.queue.length - source.head;
+    }
+    return count;
+  }
+
+  push(sourceId, entries, now) {
+    let source = this.sources.get(sourceId);
+    if (!source) {
+      source = { queue: [], head: 0, lastKey: 0, lastSeen: now };
+      this.sources.set(sourceId, source);
+    }
+    source.lastSeen = now;
+    entries.forEach(entry => {
+      // 按 Worker 解析出的毫秒时间排序；标记行、无法解析的原始行没有时间，排在同一来源的上一条之后
+      if (entry.time != null) {
+        source.lastKey = entry.time;
+      }
+      source.queue.push({ key: source.lastKey, entry });
+    });
+  }
+
+  // 移除来源（如关闭标签页），返回它尚未输出的日志
+  remove(sourceId) {
+    const source = this.sources.get(sourceId);
+    this.sources.delete(sourceId);
+    return source ? source.queue.slice(source.head).map(item => item.entry) : [];
+  }
+
+  clear() {
+    this.sources.clear();
+  }
+
+  // 取出所有已能确定顺序的日志
+  drain(now) {
+    const output = [];
+    for (;;) {
+      let earliest = null;
+      let blocked = false;
+      for (const source of this.sources.values()) {
+        if (source.head < source.queue.length) {
+          if (!earliest || source.queue[source.head].key < earliest.queue[earliest.head].key) {
+            earliest = source;
+          }
+        } else if (now - source.lastSeen < this.idleTimeout) {
+          blocked = true;
+          break;
+        }
+      }
+      if (blocked || !earliest) {
+        break;
+      }
+      output.push(earliest.queue[earliest.head].entry);
+      earliest.head++;
+    }
+    for (const source of this.sources.values()) {
+      if (source.head > 0 && source.head === source.queue.length) {
+        source.queue = [];
+        source.head = 0;
+      } else if (source.head > 4096) {
+        source.queue = source.queue.slice(source.head);
+        source.head = 0;
+      }
+    }
+    return output;
+  }
+}
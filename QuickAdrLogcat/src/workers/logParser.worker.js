@@ -1,40 +1,599 @@
+import { compileQuery } from '../utils/logQuery';
+import { LogStore, LogView } from './logStore';
+import { LogMerger } from './logMerger';
+import { CrashDetector } from './crashDetector';
+import { LogStats } from './logStats';
+import { createClock, parseLogTimestamp } from '../utils/logTime';
+
 let buffer = '';
 let parsedLogsBuffer = [];
 let timeoutId = null;
 const BATCH_INTERVAL = 150; // Send batches every 150ms
 const BATCH_SIZE = 200; // Or when batch size reaches 200
 
-// Regex to parse log lines (should match the one in the component)
-// threadtime 格式: "MM-DD HH:mm:ss.SSS  PID  TID LEVEL/TAG: MESSAGE" 或 "MM-DD HH:mm:ss.SSS  PID  TID LEVEL TAG: MESSAGE"
-const logRegex = /(\d{2}-\d{2}\s\d{2}:\d{2}:\d{2}\.\d{3})\s+(\d+)\s+(\d+)\s+([VDIWEAF])\s+([^:]+?):\s+(.+)/;
+// 默认保留的日志条数，可由主线程通过 retention 消息调整
+const DEFAULT_RETENTION = 500000;
+// 日志级别顺序，与 LogcatViewer 中 LogLevels 的顺序一致
+const LEVEL_ORDER = ['V', 'D', 'I', 'W', 'E', 'F'];
+// ActivityManager 启动进程时的日志，用于在轮询之前发现被跟踪应用的新 PID
+const startProcRegex = /Start proc (\d+):([^\s/]+)\//;
+
+const store = new LogStore(DEFAULT_RETENTION);
+const view = new LogView(store);
+// 当前的过滤条件，跟踪应用时在其中记录新发现的 PID
+let viewFilter = null;
+// 主线程最近一次请求的显示区间，视图变化时主动推送该区间的最新内容
+let windowRange = { start: 0, end: 0 };
+// 更换过滤条件后分片扫描已有日志，每片之间让出事件循环，以便处理新日志和更新的过滤条件
+const SCAN_SLICE_SIZE = 50000;
+let scanTimer = null;
+// 主线程为每次过滤条件分配的编号，随状态一起返回，主线程据此忽略过期的进度
+let queryId = 0;
+
+// 当前日志所属的缓冲区，由 logcat 输出的分隔行 "--------- beginning of main" / "--------- switch to system" 决定
+let defaultBuffer = 'main';
+let currentBuffer = 'main';
+const dividerRegex = /^-{9} (?:beginning of|switch to) (\w+)/;
+// bugreport 中各段落的分隔行，如 "------ SYSTEM LOG (logcat -v threadtime -d *:v) ------"、"== dumpstate: ..."
+// 遇到时结束当前日志，避免把后续非日志内容当作续行
+const sectionRegex = /^(?:-{6} .+ -{6}|-{20,}|={20,}|== .*)$/;
+
+// 是否把每批新日志转发给主线程（开启合并视图时），由合并视图的 Worker 按时间归并
+let forwardEntries = false;
+// 合并视图使用：等待其他设备的日志以确定顺序，设备超过该时间没有新日志时不再等待 (毫秒)
+const MERGE_IDLE_TIMEOUT = 1000;
+const merger = new LogMerger(MERGE_IDLE_TIMEOUT);
+// 最多保留的崩溃记录数
+const MAX_CRASHES = 500;
+const crashDetector = new CrashDetector(MAX_CRASHES);
+// 统计面板: 时间线最多保留的秒数、列出的标签/PID 数和时间线柱数
+const STATS_MAX_SECONDS = 24 * 3600;
+const STATS_TOP_COUNT = 20;
+const STATS_TIMELINE_BARS = 120;
+// 统计面板打开时推送统计的最小间隔 (毫秒)
+const STATS_INTERVAL = 1000;
+const stats = new LogStats(STATS_MAX_SECONDS);
+let statsEnabled = false;
+let statsPostedAt = 0;
+let statsTimer = null;
+let mergeTimer = null;
+
+// 主线程同步过来的 PID -> 进程名映射，用于给日志标注所属应用
+let processMap = {};
+
+// 当前会话的输出格式，auto 表示逐个尝试所有格式（导入文件时使用）
+let logFormat = 'threadtime';
+// auto 模式下最近一次匹配成功的格式，优先尝试
+let detectedFormat = null;
+// 最后一条尚未发送的日志：续行、long 格式的消息行以及可合并的相邻行都会追加到它上面
+let pendingEntry = null;
+// 上次批量发送后 pendingEntry 是否又有新行追加，空闲一个批次周期后才发送它
+let pendingTouched = false;
+// 设备时钟，用于补全时间戳的年份和时区；打开文件时使用本机时钟
+let clock = createClock();
+// 是否把时间戳/PID/TID/标签都相同的相邻行合并为一条多行日志（如 AndroidRuntime 打印的堆栈）
+let groupMultiline = true;
+
+// 时间戳: "MM-DD HH:mm:ss.SSS"，year 修饰符加上 "YYYY-"，epoch/monotonic 修饰符为 "秒.毫秒"，
+// usec 修饰符精确到微秒，zone 修饰符在末尾附加 "+0800" 或时区缩写
+const TIMESTAMP = '(?<timestamp>(?:(?:\\d{4}-)?\\d{2}-\\d{2}\\s+\\d{2}:\\d{2}:\\d{2}\\.\\d+|\\d+\\.\\d+)(?:\\s+(?:[+-]\\d{4}|[A-Z]{2,5}))?)';
+const LEVEL = '(?<level>[VDIWEAF])';
+// uid 修饰符会在 pid 前输出 uid（数字或 u0_a123 这样的名称）
+const PROCESS_ID = '\\(\\s*(?:(?<uid>\\S+?):\\s*)?(?<pid>\\d+)\\)';
+
+// 各输出格式对应的正则，均使用命名分组，解析结果由 createEntry 统一组装
+const LogFormats = {
+  // "MM-DD HH:mm:ss.SSS  PID  TID LEVEL TAG     : MESSAGE"
+  threadtime: new RegExp(`^\\s*${TIMESTAMP}\\s+(?:(?<uid>\\S+)\\s+)?(?<pid>\\d+)\\s+(?<tid>\\d+)\\s+${LEVEL}\\s+(?<tag>.*?)\\s*: ?(?<message>.*)$`),
+  // "MM-DD HH:mm:ss.SSS LEVEL/TAG( PID): MESSAGE"
+  time: new RegExp(`^\\s*${TIMESTAMP}\\s+${LEVEL}\\/(?<tag>.*?)\\s*${PROCESS_ID}: ?(?<message>.*)$`),
+  // "[ MM-DD HH:mm:ss.SSS  PID: TID LEVEL/TAG ]"，消息在后续行中
+  long: new RegExp(`^\\[\\s+${TIMESTAMP}\\s+(?:(?<uid>\\S+?):?\\s+)?(?<pid>\\d+):\\s*(?<tid>\\d+)\\s+${LEVEL}\\/(?<tag>.*?)\\s*\\]$`),
+  // "LEVEL/TAG( PID): MESSAGE"
+  brief: new RegExp(`^${LEVEL}\\/(?<tag>.*?)\\s*${PROCESS_ID}: ?(?<message>.*)$`),
+  // "LEVEL( PID) MESSAGE  (TAG)"
+  process: new RegExp(`^${LEVEL}${PROCESS_ID} (?<message>.*?) {2}\\((?<tag>[^()]*)\\)\\s*$`),
+  // "LEVEL/TAG: MESSAGE"
+  tag: new RegExp(`^${LEVEL}\\/(?<tag>.*?)\\s*: ?(?<message>.*)$`)
+};
+const FORMAT_ORDER = Object.keys(LogFormats);
+
+function createEntry(fields, raw = false) {
+  const {
+    timestamp = '',
+    uid = '',
+    pid = '',
+    tid = '',
+    level = '',
+    tag = '',
+    message = ''
+  } = fields;
+  return {
+    timestamp,
+    // 毫秒时间，用于时间范围过滤、跳转和合并排序，无法换算时为 null
+    time: parseLogTimestamp(timestamp, clock),
+    uid,
+    pid,
+    tid,
+    processName: processMap[pid] || '',
+    level,
+    tag: tag.trim(),
+    message,
+    buffer: currentBuffer,
+    raw
+  };
+}
+
+// 本插件导出的 JSON Lines，每行是一条包含全部字段的日志
+function parseJsonLine(line) {
+  if (line[0] !== '{') {
+    return null;
+  }
+  try {
+    const fields = JSON.parse(line);
+    if (!fields || typeof fields.message !== 'string') {
+      return null;
+    }
+    // 文件中的字段优先，缺失的字段用默认值补齐
+    const entry = createEntry(fields, !!fields.raw);
+    const merged = { ...entry, ...fields, raw: !!fields.raw };
+    ['timestamp', 'uid', 'pid', 'tid', 'processName', 'level', 'tag', 'buffer'].forEach(field => {
+      merged[field] = merged[field] == null ? '' : String(merged[field]);
+    });
+    // 旧版本导出的文件没有 time 字段
+    if (typeof merged.time !== 'number') {
+      merged.time = entry.time;
+    }
+    return merged;
+  } catch (error) {
+    return null;
+  }
+}
+
+// 先按会话指定的格式匹配，失败后再尝试其他格式，兼容导入或格式混杂的输出
+function matchLogLine(line) {
+  const preferred = logFormat in LogFormats ? logFormat : detectedFormat;
+  const formats = preferred
+    ? [preferred, ...FORMAT_ORDER.filter(format => format !== preferred)]
+    : FORMAT_ORDER;
+  for (const format of formats) {
+    const match = line.match(LogFormats[format]);
+    if (match) {
+      if (!(logFormat in LogFormats)) {
+        detectedFormat = format;
+      }
+      return { format, fields: match.groups };
+    }
+  }
+  return null;
+}
+
+// 解析一行日志，返回需要输出的日志条目数组（新日志开始时会输出之前暂存的条目）
+function parseLogLine(rawLine) {
+  const line = rawLine.replace(/\r+$/, '');
+  const divider = line.match(dividerRegex);
+  if (divider) {
+    currentBuffer = divider[1];
+    return [];
+  }
+
+  if (!line.trim()) {
+    // long 格式以空行结束一条日志，其他格式的空行忽略
+    return pendingEntry && pendingEntry.long ? flushPending() : [];
+  }
+
+  if (sectionRegex.test(line)) {
+    return [...flushPending(), createEntry({ message: line }, true)];
+  }
+
+  const jsonEntry = parseJsonLine(line);
+  if (jsonEntry) {
+    return [...flushPending(), jsonEntry];
+  }
+
+  const match = matchLogLine(line);
+  if (match && match.format === 'long') {
+    const flushed = flushPending();
+    pendingEntry = createEntry(match.fields);
+    pendingEntry.long = true;
+    pendingEntry.lines = [];
+    pendingTouched = true;
+    return flushed;
+  }
+
+  if (pendingEntry && (pendingEntry.long || !match)) {
+    // long 格式的消息行，或无法解析的续行（如被折断的消息、没有日志头的堆栈帧）
+    appendLine(line);
+    return [];
+  }
 
-function parseLogLine(line) {
-  const match = line.match(logRegex);
   if (match) {
-    const [, timestamp, pid, tid, level, tag, message] = match;
+    const entry = createEntry(match.fields);
+    if (groupMultiline && pendingEntry && isSameSource(pendingEntry, entry)) {
+      appendLine(entry.message);
+      return [];
+    }
+    const flushed = flushPending();
+    pendingEntry = entry;
+    pendingEntry.lines = [entry.message];
+    pendingTouched = true;
+    return flushed;
+  }
+
+  // 前面没有可追加的日志时，无法解析的行作为原始行显示，而不是直接丢弃
+  return [createEntry({ message: line }, true)];
+}
+
+function isSameSource(a, b) {
+  return !a.raw && !b.raw &&
+    a.timestamp === b.timestamp &&
+    a.pid === b.pid &&
+    a.tid === b.tid &&
+    a.level === b.level &&
+    a.tag === b.tag &&
+    a.buffer === b.buffer;
+}
+
+function appendLine(line) {
+  pendingEntry.lines.push(line);
+  pendingTouched = true;
+}
+
+function flushPending() {
+  if (!pendingEntry) {
+    return [];
+  }
+  const { lines, long, ...entry } = pendingEntry;
+  entry.message = lines.join('\n');
+  entry.lineCount = lines.length;
+  pendingEntry = null;
+  pendingTouched = false;
+  return [entry];
+}
+
+// 把暂存的最后一条日志也放入批次；仍在追加续行时保留到下个周期
+function collectPending() {
+  if (!pendingEntry) {
+    return;
+  }
+  if (pendingTouched) {
+    pendingTouched = false;
+    if (!timeoutId) {
+      timeoutId = setTimeout(sendBatch, BATCH_INTERVAL);
+    }
+    return;
+  }
+  parsedLogsBuffer.push(...flushPending());
+}
+
+function getProcessName(entry) {
+  return entry.processName || processMap[entry.pid] || '';
+}
+
+// 书签: seq -> 备注（可以为空字符串），随日志淘汰一起删除
+const bookmarks = new Map();
+
+// 发送给主线程前补全进程名（进程表可能在日志到达之后才刷新），有书签的日志带上 bookmark 字段
+function decorate(entry) {
+  const note = bookmarks.get(entry.seq);
+  return note === undefined
+    ? { ...entry, processName: getProcessName(entry) }
+    : { ...entry, processName: getProcessName(entry), bookmark: note };
+}
+
+// 书签列表按 seq 排序发送给主线程，只带书签面板需要的摘要
+function postBookmarks() {
+  const items = [...bookmarks.keys()].sort((a, b) => a - b).map(seq => {
+    const entry = store.get(seq);
     return {
-      timestamp,
-      pid,
-      tid,
-      level,
-      tag,
-      message,
-      key: `${timestamp}-${pid}-${tid}-${tag}-${Math.random()}`
+      seq,
+      note: bookmarks.get(seq),
+      timestamp: entry.timestamp,
+      level: entry.level,
+      tag: entry.tag,
+      message: entry.message.split('\n', 1)[0].slice(0, 200)
     };
+  });
+  self.postMessage({ type: 'bookmarks', payload: items });
+}
+
+// 删除已被淘汰的日志上的书签，返回是否有变化
+function pruneBookmarks() {
+  let changed = false;
+  for (const seq of bookmarks.keys()) {
+    if (seq < store.firstSeq) {
+      bookmarks.delete(seq);
+      changed = true;
+    }
   }
-  // console.log('Worker: 无法解析的日志行:', line); // Uncomment for debugging
-  return null;
+  return changed;
 }
 
-function sendBatch() {
-  if (parsedLogsBuffer.length > 0) {
-    self.postMessage({ type: 'logs', payload: parsedLogsBuffer });
-    parsedLogsBuffer = [];
+// 根据主线程下发的过滤条件生成匹配函数，没有任何条件时返回 null
+function buildMatcher(filter) {
+  const {
+    query = '',
+    caseSensitive = false,
+    tagFilters = [],
+    packageName = '',
+    pids = [],
+    apps = [],
+    timeRange = {}
+  } = filter || {};
+  const { predicate } = compileQuery(query, { caseSensitive, getProcessName });
+  const pidSet = packageName ? new Set(pids) : null;
+  const appSet = apps.length > 0 ? new Set(apps) : null;
+  const from = parseLogTimestamp(timeRange.from, clock);
+  const to = parseLogTimestamp(timeRange.to, clock);
+  if (!predicate && !pidSet && !appSet && tagFilters.length === 0 && from === null && to === null) {
+    return null;
+  }
+
+  return (entry) => {
+    // 没有时间的日志（标记行、无法解析的原始行）不受时间范围限制
+    if (entry.time != null && ((from !== null && entry.time < from) || (to !== null && entry.time > to))) {
+      return false;
+    }
+    if (pidSet && !pidSet.has(entry.pid)) {
+      return false;
+    }
+    if (appSet && !appSet.has(getProcessName(entry))) {
+      return false;
+    }
+    if (predicate && !predicate(entry)) {
+      return false;
+    }
+    // 前端过滤模式下的标签:级别过滤器，满足任意一个即可
+    if (tagFilters.length > 0) {
+      return tagFilters.some(f => {
+        const tagMatch = !f.tag || entry.tag.includes(f.tag);
+        const levelMatch = LEVEL_ORDER.includes(entry.level) && LEVEL_ORDER.includes(f.level) &&
+          LEVEL_ORDER.indexOf(entry.level) <= LEVEL_ORDER.indexOf(f.level);
+        return tagMatch && levelMatch;
+      });
+    }
+    return true;
+  };
+}
+
+function applyFilter(filter) {
+  const { packageName = '', pids = [] } = filter || {};
+  // 跟踪的应用不变时保留从日志中发现的 PID
+  const pidSet = new Set(packageName && viewFilter && viewFilter.packageName === packageName ? viewFilter.pidSet : []);
+  pids.forEach(pid => pidSet.add(pid));
+  viewFilter = { ...filter, packageName, pidSet };
+  view.setMatcher(buildMatcher({ ...viewFilter, pids: [...pidSet] }));
+  // 取消上一个条件尚未完成的扫描，重新开始
+  if (scanTimer) {
+    clearTimeout(scanTimer);
+    scanTimer = null;
+  }
+  scanSlice();
+}
+
+// 扫描一片已有日志并推送当前结果，未完成时安排下一片
+function scanSlice() {
+  scanTimer = null;
+  if (view.scanning) {
+    view.scan(SCAN_SLICE_SIZE);
   }
+  postView();
+  if (view.scanning) {
+    scanTimer = setTimeout(scanSlice, 0);
+  }
+}
+
+// 从 ActivityManager 的 "Start proc" 日志中发现被跟踪应用新启动的进程，加入过滤条件
+function trackStartedProcess(entry) {
+  const name = viewFilter && viewFilter.packageName;
+  if (!name) {
+    return;
+  }
+  const match = entry.message.match(startProcRegex);
+  if (match && (match[2] === name || match[2].startsWith(`${name}:`)) && !viewFilter.pidSet.has(match[1])) {
+    viewFilter.pidSet.add(match[1]);
+    view.updateMatcher(buildMatcher({ ...viewFilter, pids: [...viewFilter.pidSet] }));
+  }
+}
+
+// 视图统计信息：缓冲区与视图的条数、估算的内存占用、出现过的进程名
+let knownProcessNames = new Set();
+// 最近一条日志的时间戳，断线重连时作为 logcat -T 的起点
+let lastTimestamp = '';
+// 从 lastTimestamp 重新启动 logcat 后跳过重复日志：-T 会再次输出该时刻的日志，
+// 记录最后一条日志的时间以及同一时刻已有日志的内容，为 null 时不跳过
+let resumeFrom = null;
+// 停止跟随最新日志时的位置，用于统计之后新增的日志条数，为 null 时不统计
+let markSeq = null;
+function postState() {
+  self.postMessage({
+    type: 'state',
+    payload: {
+      total: store.size,
+      capacity: store.capacity,
+      approxBytes: store.approxBytes,
+      viewCount: view.count,
+      displayCount: view.displayCount,
+      queryId,
+      // 扫描未完成时为进度 (0~1)，否则为 null
+      scanProgress: view.scanning ? view.scanProgress : null,
+      processNames: [...knownProcessNames],
+      lastTimestamp,
+      // 停止跟随或暂停后新增的（符合过滤条件的）日志条数
+      newCount: markSeq === null ? 0 : view.countFrom(markSeq),
+      paused: view.frozenSeq !== null
+    }
+  });
+}
+
+function postWindow() {
+  const { start, end } = windowRange;
+  self.postMessage({ type: 'window', payload: { start, rows: view.displayRows(start, end, decorate) } });
+}
+
+function postView() {
+  postState();
+  postWindow();
+}
+
+// 记录已有日志中最后一个时刻的所有日志行，之后到达的同一时刻且每行都已存在的日志视为重复。
+// 按行比较是因为断开前后同一批行可能被合并成不同的多行日志
+function startResume() {
+  resumeFrom = null;
+  const signatures = new Map();
+  for (let seq = store.nextSeq - 1; seq >= store.firstSeq; seq--) {
+    const entry = store.get(seq);
+    if (entry.raw) {
+      continue;
+    }
+    if (entry.time === null || (resumeFrom && entry.time !== resumeFrom.time)) {
+      break;
+    }
+    resumeFrom = resumeFrom || { time: entry.time, signatures };
+    getSignatures(entry).forEach(signature => {
+      signatures.set(signature, (signatures.get(signature) || 0) + 1);
+    });
+  }
+}
+
+function getSignatures(entry) {
+  const source = [entry.pid, entry.tid, entry.level, entry.tag].join('|');
+  return entry.message.split('\n').map(line => `${source}|${line}`);
+}
+
+// 重启后的日志是否为新日志；遇到第一条新日志后结束跳过
+function isNewEntry(entry) {
+  if (!resumeFrom || entry.raw) {
+    return true;
+  }
+  if (entry.time !== null && entry.time < resumeFrom.time) {
+    return false;
+  }
+  if (entry.time === resumeFrom.time) {
+    const { signatures } = resumeFrom;
+    const lines = getSignatures(entry);
+    if (lines.every(signature => signatures.get(signature) > 0)) {
+      lines.forEach(signature => signatures.set(signature, signatures.get(signature) - 1));
+      return false;
+    }
+  }
+  resumeFrom = null;
+  return true;
+}
+
+function sendBatch() {
   if (timeoutId) {
     clearTimeout(timeoutId);
     timeoutId = null;
   }
+  collectPending();
+  if (resumeFrom) {
+    parsedLogsBuffer = parsedLogsBuffer.filter(isNewEntry);
+  }
+  if (parsedLogsBuffer.length > 0) {
+    let evicted = false;
+    let bookmarksChanged = false;
+    let crashesChanged = false;
+    parsedLogsBuffer.forEach(entry => {
+      trackStartedProcess(entry);
+      evicted = store.append(entry) !== null || evicted;
+      // 导入的 JSON Lines 中保存的书签
+      if (entry.bookmark != null) {
+        bookmarks.set(entry.seq, String(entry.bookmark));
+        delete entry.bookmark;
+        bookmarksChanged = true;
+      }
+      view.add(entry);
+      const name = getProcessName(entry);
+      if (name) {
+        knownProcessNames.add(name);
+      }
+      crashesChanged = crashDetector.add(entry, name) || crashesChanged;
+      stats.add(entry, name);
+      if (!entry.raw && entry.timestamp) {
+        lastTimestamp = entry.timestamp;
+      }
+    });
+    if (evicted) {
+      view.prune();
+      bookmarksChanged = pruneBookmarks() || bookmarksChanged;
+    }
+    if (bookmarksChanged) {
+      postBookmarks();
+    }
+    if (crashesChanged) {
+      self.postMessage({ type: 'crashes', payload: crashDetector.crashes });
+    }
+    postStats();
+    if (forwardEntries) {
+      self.postMessage({ type: 'entries', payload: parsedLogsBuffer.map(decorate) });
+    }
+    parsedLogsBuffer = [];
+    postView();
+  }
+}
+
+// 取出归并后顺序已确定的日志写入缓冲区；仍有日志在等待时稍后再检查空闲的设备
+function drainMerger() {
+  if (mergeTimer) {
+    clearTimeout(mergeTimer);
+    mergeTimer = null;
+  }
+  parsedLogsBuffer.push(...merger.drain(Date.now()));
+  sendBatch();
+  if (merger.pending > 0) {
+    mergeTimer = setTimeout(drainMerger, MERGE_IDLE_TIMEOUT);
+  }
+}
+
+// 按 seq 顺序分页读取日志（导出用），scope 为 all（全部）或 view（当前过滤结果）。
+// toSeq 为空时取当前最新位置，并在结果中返回，后续分页沿用它保证导出的是同一时刻的快照
+function readRows({ scope, fromSeq, toSeq, limit }) {
+  const endSeq = toSeq == null ? store.nextSeq : toSeq;
+  const rows = [];
+  let seq = Math.max(fromSeq, store.firstSeq);
+  for (; seq < endSeq && rows.length < limit; seq++) {
+    const entry = store.get(seq);
+    if (entry && (scope === 'all' || !view.matcher || view.matcher(entry))) {
+      rows.push(decorate(entry));
+    }
+  }
+  return { rows, nextSeq: seq, toSeq: endSeq, done: seq >= endSeq };
+}
+
+// 统计面板打开时推送统计摘要，限制频率；被限制时在间隔结束后补发一次，保证最终是最新的
+function postStats() {
+  if (!statsEnabled || statsTimer) {
+    return;
+  }
+  const wait = statsPostedAt + STATS_INTERVAL - Date.now();
+  if (wait > 0) {
+    statsTimer = setTimeout(() => {
+      statsTimer = null;
+      postStats();
+    }, wait);
+    return;
+  }
+  statsPostedAt = Date.now();
+  self.postMessage({ type: 'stats', payload: stats.summary(STATS_TOP_COUNT, STATS_TIMELINE_BARS) });
+}
+
+// 日志大体按时间排列，但多个缓冲区交错输出时会有少量乱序，因此按顺序查找而不是二分
+function locateTime(target) {
+  if (target === null) {
+    return -1;
+  }
+  for (let index = 0; index < view.count; index++) {
+    const entry = view.entryAt(index);
+    if (entry.time != null && entry.time >= target) {
+      return view.displayIndexOf(entry.seq);
+    }
+  }
+  return -1;
+}
+
+function respond(requestId, payload) {
+  self.postMessage({ type: 'response', requestId, payload });
 }
 
 self.onmessage = (event) => {
@@ -45,34 +604,182 @@ self.onmessage = (event) => {
     buffer = lines.pop() || ''; // Keep the potentially incomplete last line
 
     if (lines.length > 0) {
-      const newlyParsed = lines
-        .map(parseLogLine)
-        .filter(Boolean);
-
-      if (newlyParsed.length > 0) {
-        parsedLogsBuffer.push(...newlyParsed);
-
-        // Send immediately if batch size is reached
-        if (parsedLogsBuffer.length >= BATCH_SIZE) {
-          sendBatch();
-        } else if (!timeoutId) {
-          // Otherwise, schedule a batch send
-          timeoutId = setTimeout(sendBatch, BATCH_INTERVAL);
-        }
+      const newlyParsed = lines.flatMap(parseLogLine);
+
+      parsedLogsBuffer.push(...newlyParsed);
+
+      // Send immediately if batch size is reached
+      if (parsedLogsBuffer.length >= BATCH_SIZE) {
+        sendBatch();
+      } else if (!timeoutId && (parsedLogsBuffer.length > 0 || pendingEntry)) {
+        // Otherwise, schedule a batch send
+        timeoutId = setTimeout(sendBatch, BATCH_INTERVAL);
       }
     }
+    // 导入文件时主线程等待这个确认后再读取下一块，避免消息堆积
+    if (event.data.requestId != null) {
+      respond(event.data.requestId);
+    }
+  } else if (event.data.type === 'flush') {
+    // 输入结束（如文件读取完毕）：处理最后一行并立即发送所有暂存的日志
+    if (buffer) {
+      parsedLogsBuffer.push(...parseLogLine(buffer));
+      buffer = '';
+    }
+    parsedLogsBuffer.push(...flushPending());
+    sendBatch();
+  } else if (event.data.type === 'config') {
+    // 开始新的会话时由主线程下发所选缓冲区和输出格式；只选了一个缓冲区时 logcat 不会输出分隔行
+    // 先把上一个会话暂存的日志发出去
+    pendingTouched = false;
+    sendBatch();
+    const { buffers = ['main'], format = 'threadtime', groupLines = groupMultiline, clock: sessionClock, since } = event.data.payload || {};
+    // 不是从最后一条日志继续读取的新会话不跳过日志
+    if (!since) {
+      resumeFrom = null;
+    }
+    clock = sessionClock || createClock();
+    defaultBuffer = buffers.length === 1 && buffers[0] !== 'all' ? buffers[0] : '';
+    currentBuffer = defaultBuffer;
+    logFormat = format;
+    detectedFormat = null;
+    groupMultiline = groupLines;
+    pendingEntry = null;
+    pendingTouched = false;
+    buffer = '';
+  } else if (event.data.type === 'processes') {
+    processMap = event.data.payload || {};
+    Object.values(processMap).forEach(name => knownProcessNames.add(name));
+  } else if (event.data.type === 'grouping') {
+    // 只影响之后到达的日志
+    groupMultiline = !!event.data.payload;
+  } else if (event.data.type === 'filter') {
+    queryId = event.data.queryId || 0;
+    applyFilter(event.data.payload);
+  } else if (event.data.type === 'retention') {
+    // 缩小容量只会淘汰旧日志，视图中剩余的匹配结果仍然有效
+    store.resize(event.data.payload);
+    view.prune();
+    if (pruneBookmarks()) {
+      postBookmarks();
+    }
+    postView();
+  } else if (event.data.type === 'window') {
+    windowRange = event.data.payload;
+    postWindow();
+  } else if (event.data.type === 'expand') {
+    const { seq, expanded } = event.data.payload;
+    view.setExpanded(seq, expanded);
+    postView();
+  } else if (event.data.type === 'marker') {
+    // 会话中的标记行（如设备断开/重新连接），先结束当前日志以保证顺序
+    if (buffer) {
+      parsedLogsBuffer.push(...parseLogLine(buffer));
+      buffer = '';
+    }
+    parsedLogsBuffer.push(...flushPending());
+    parsedLogsBuffer.push({ ...createEntry({ message: event.data.payload }, true), marker: true });
+    sendBatch();
+  } else if (event.data.type === 'resume') {
+    // 主线程即将从最后一条日志的时间重新启动 logcat，先结束上一个进程未完成的日志
+    if (buffer) {
+      parsedLogsBuffer.push(...parseLogLine(buffer));
+      buffer = '';
+    }
+    parsedLogsBuffer.push(...flushPending());
+    sendBatch();
+    startResume();
+  } else if (event.data.type === 'mark') {
+    // 主线程停止跟随最新日志时开始统计新日志
+    markSeq = event.data.payload ? store.nextSeq : null;
+    postState();
+  } else if (event.data.type === 'pause') {
+    // 暂停显示：继续接收和匹配日志，但视图停留在暂停时的内容
+    view.freeze(event.data.payload ? store.nextSeq : null);
+    postView();
+  } else if (event.data.type === 'bookmark') {
+    // 添加、修改（note 为字符串）或删除（note 为 null）书签
+    const { seq, note } = event.data.payload;
+    if (note == null) {
+      bookmarks.delete(seq);
+    } else if (store.get(seq)) {
+      bookmarks.set(seq, note);
+    }
+    postBookmarks();
+    postWindow();
+  } else if (event.data.type === 'locate') {
+    // 书签跳转：返回日志在当前视图中的显示位置，被过滤掉时为 -1
+    respond(event.data.requestId, view.displayIndexOf(event.data.payload));
+  } else if (event.data.type === 'locate-time') {
+    // 跳转到时间：返回视图中第一条不早于该时间的日志的显示位置，没有时为 -1
+    // payload 为时间戳文本（界面输入）或毫秒时间（统计面板的时间线）
+    const target = typeof event.data.payload === 'number' ? event.data.payload : parseLogTimestamp(event.data.payload, clock);
+    respond(event.data.requestId, locateTime(target));
+  } else if (event.data.type === 'stats') {
+    // 统计面板打开时才推送统计
+    statsEnabled = !!event.data.payload;
+    statsPostedAt = 0;
+    postStats();
+  } else if (event.data.type === 'forward') {
+    forwardEntries = !!event.data.payload;
+  } else if (event.data.type === 'merge') {
+    // 合并视图：收到某个设备转发的日志，标注设备名后参与归并
+    const { source, device, entries } = event.data.payload;
+    merger.push(source, entries.map(entry => ({ ...entry, device })), Date.now());
+    drainMerger();
+  } else if (event.data.type === 'merge-remove') {
+    parsedLogsBuffer.push(...merger.remove(event.data.payload));
+    drainMerger();
+  } else if (event.data.type === 'rows') {
+    respond(event.data.requestId, readRows(event.data.payload));
   } else if (event.data.type === 'clear') {
       // Clear buffer and scheduled sends if main thread requests it
       buffer = '';
       parsedLogsBuffer = [];
+      currentBuffer = defaultBuffer;
+      pendingEntry = null;
+      pendingTouched = false;
       if (timeoutId) {
           clearTimeout(timeoutId);
           timeoutId = null;
       }
+      // 取消进行中的过滤扫描，view.clear 会把扫描位置移到清除后的位置
+      if (scanTimer) {
+          clearTimeout(scanTimer);
+          scanTimer = null;
+      }
+      // 取消清除前安排的归并和统计推送，否则会把旧的日志和统计推送出去
+      if (mergeTimer) {
+          clearTimeout(mergeTimer);
+          mergeTimer = null;
+      }
+      if (statsTimer) {
+          clearTimeout(statsTimer);
+          statsTimer = null;
+      }
+      store.clear();
+      view.clear();
+      merger.clear();
+      crashDetector.clear();
+      self.postMessage({ type: 'crashes', payload: [] });
+      stats.clear();
+      statsPostedAt = 0;
+      postStats();
+      knownProcessNames = new Set(Object.values(processMap));
+      lastTimestamp = '';
+      resumeFrom = null;
+      if (bookmarks.size > 0) {
+        bookmarks.clear();
+        postBookmarks();
+      }
+      if (markSeq !== null) {
+        markSeq = store.nextSeq;
+      }
+      postView();
   }
 };
 
 // Ensure any remaining logs are sent before the worker potentially terminates
 self.onclose = () => {
-  sendBatch(); 
-}; 
\ No newline at end of file
+  sendBatch();
+};
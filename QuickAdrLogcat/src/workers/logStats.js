@@ -0,0 +1,91 @@
+// 日志统计：按标签、级别、PID 累计条数，并按秒统计日志速率，用于统计面板
+// 统计从会话开始（或清除日志后）收到的全部日志，不随缓冲区淘汰减少
+
+export class LogStats {
+  constructor(maxSeconds) {
+    this.maxSeconds = maxSeconds; // 时间线最多保留的秒数，超出后丢弃最早的
+    this.clear();
+  }
+
+  clear() {
+    this.total = 0;
+    this.tags = new Map(); // tag -> count
+    this.levels = {}; // level -> count
+    this.pids = new Map(); // pid -> { count, name }
+    this.seconds = new Map(); // 秒 -> { total, errors, warnings }
+  }
+
+  add(entry, processName) {
+    if (entry.raw) {
+      return;
+    }
+    this.total++;
+    this.tags.set(entry.tag, (this.tags.get(entry.tag) || 0) + 1);
+    this.levels[entry.level] = (this.levels[entry.level] || 0) + 1;
+    const pid = this.pids.get(entry.pid);
+    if (pid) {
+      pid.count++;
+      pid.name = processName || pid.name;
+    } else {
+      this.pids.set(entry.pid, { count: 1, name: processName });
+    }
+    if (entry.time == null) {
+      return;
+    }
+    const second = Math.floor(entry.time / 1000);
+    let bucket = this.seconds.get(second);
+    if (!bucket) {
+      bucket = { total: 0, errors: 0, warnings: 0 };
+      this.seconds.set(second, bucket);
+      // 日志基本按时间到达，最早插入的就是最早的一秒
+      if (this.seconds.size > this.maxSeconds) {
+        this.seconds.delete(this.seconds.keys().next().value);
+      }
+    }
+    bucket.total++;
+    if (entry.level === 'E' || entry.level === 'F') {
+      bucket.errors++;
+    } else if (entry.level === 'W') {
+      bucket.warnings++;
+    }
+  }
+
+  // 时间线按 maxBars 合并相邻的秒，没有日志的时间段也输出空柱，保持时间连续
+  timeline(maxBars) {
+    if (this.seconds.size === 0) {
+      return { bars: [], peakRate: 0 };
+    }
+    let first = Infinity;
+    let last = -Infinity;
+    let peakRate = 0;
+    for (const [second, bucket] of this.seconds) {
+      first = Math.min(first, second);
+      last = Math.max(last, second);
+      peakRate = Math.max(peakRate, bucket.total);
+    }
+    const size = Math.max(1, Math.ceil((last - first + 1) / maxBars));
+    const bars = [];
+    for (let start = first; start <= last; start += size) {
+      bars.push({ time: start * 1000, duration: size * 1000, total: 0, errors: 0, warnings: 0 });
+    }
+    for (const [second, bucket] of this.seconds) {
+      const bar = bars[Math.floor((second - first) / size)];
+      bar.total += bucket.total;
+      bar.errors += bucket.errors;
+      bar.warnings += bucket.warnings;
+    }
+    return { bars, peakRate };
+  }
+
+  // 发送给主线程的摘要: 总数、级别分布、条数最多的标签和 PID、时间线
+  summary(topCount, maxBars) {
+    const top = (items) => items.sort((a, b) => b.count - a.count).slice(0, topCount);
+    return {
+      total: this.total,
+      levels: { ...this.levels },
+      tags: top([...this.tags].map(([tag, count]) => ({ tag, count }))),
+      pids: top([...this.pids].map(([pid, { count, name }]) => ({ pid, name, count }))),
+      ...this.timeline(maxBars)
+    };
+  }
+}
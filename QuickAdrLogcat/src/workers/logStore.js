@@ -0,0 +1,295 @@
+// Worker 内的日志存储：环形缓冲区 + 过滤视图
+
+// 每条日志除字符串外的大致开销 (字节)，用于估算内存占用
+const ENTRY_OVERHEAD = 240;
+
+function estimateEntrySize(entry) {
+  return ENTRY_OVERHEAD + 2 * (
+    entry.message.length +
+    entry.tag.length +
+    entry.timestamp.length +
+    entry.pid.length +
+    entry.tid.length +
+    entry.uid.length +
+    entry.processName.length
+  );
+}
+
+// 环形缓冲区：超过容量后覆盖最旧的日志。每条日志分配递增的 seq（清空后也不会重复），可按 seq 随机访问
+export class LogStore {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.nextSeq = 0;
+    this.clear();
+  }
+
+  clear() {
+    this.items = [];
+    this.start = 0; // 最旧的一条在 items 中的位置
+    this.size = 0;
+    this.firstSeq = this.nextSeq;
+    this.approxBytes = 0;
+  }
+
+  // 追加一条日志，返回被淘汰的日志（没有则为 null）
+  append(entry) {
+    entry.seq = this.nextSeq++;
+    entry.key = entry.seq;
+    this.approxBytes += estimateEntrySize(entry);
+    if (this.size < this.capacity) {
+      this.items[(this.start + this.size) % this.capacity] = entry;
+      this.size++;
+      return null;
+    }
+    const evicted = this.items[this.start];
+    this.approxBytes -= estimateEntrySize(evicted);
+    this.items[this.start] = entry;
+    this.start = (this.start + 1) % this.capacity;
+    this.firstSeq++;
+    return evicted;
+  }
+
+  get(seq) {
+    if (seq < this.firstSeq || seq >= this.nextSeq) {
+      return undefined;
+    }
+    return this.items[(this.start + seq - this.firstSeq) % this.capacity];
+  }
+
+  // 调整容量，缩小时只保留最新的日志
+  resize(capacity) {
+    const keep = Math.min(this.size, capacity);
+    const items = [];
+    for (let seq = this.nextSeq - keep; seq < this.nextSeq; seq++) {
+      items.push(this.get(seq));
+    }
+    this.capacity = capacity;
+    this.items = items;
+    this.start = 0;
+    this.size = keep;
+    this.firstSeq = this.nextSeq - keep;
+    this.approxBytes = items.reduce((sum, entry) => sum + estimateEntrySize(entry), 0);
+  }
+}
+
+// 过滤视图：记录匹配当前过滤条件的日志 seq（升序），没有过滤条件时直接映射到整个缓冲区。
+// 更换过滤条件后由 scan 分批扫描已有日志，scanSeq 之前的日志都已匹配过，新日志追上扫描进度后逐条增量匹配。
+// 同时管理展开的多行日志，展开后每一行消息占用一个显示行，保证表格行高固定
+export class LogView {
+  constructor(store) {
+    this.store = store;
+    this.matcher = null;
+    this.seqs = [];
+    this.offset = 0; // seqs 中 offset 之前的日志已被淘汰
+    this.scanSeq = store.nextSeq; // 下一条待匹配的日志
+    this.frozenSeq = null; // 暂停时的位置，之后的日志继续匹配但不显示
+    this.expanded = new Set();
+  }
+
+  // 暂停/恢复显示：seq 为暂停时缓冲区的 nextSeq，传 null 恢复
+  freeze(seq) {
+    this.frozenSeq = seq;
+  }
+
+  // 第一个 seq >= target 的位置（在 seqs 中的下标）
+  lowerBound(target) {
+    let low = this.offset;
+    let high = this.seqs.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.seqs[mid] < target) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  // 视图中 seq 不小于给定值的日志条数（不受暂停影响），用于统计新日志
+  countFrom(seq) {
+    if (!this.matcher) {
+      return Math.max(0, this.store.nextSeq - Math.max(seq, this.store.firstSeq));
+    }
+    return this.seqs.length - this.lowerBound(seq);
+  }
+
+  // 更换过滤条件，之后需要调用 scan 直到扫描完成
+  setMatcher(matcher) {
+    this.matcher = matcher;
+    this.seqs = [];
+    this.offset = 0;
+    this.scanSeq = matcher ? this.store.firstSeq : this.store.nextSeq;
+  }
+
+  // 只替换匹配函数，不重新扫描已有日志（如跟踪应用发现新 PID，新条件只影响之后的日志）
+  updateMatcher(matcher) {
+    this.matcher = matcher;
+  }
+
+  get scanning() {
+    return this.scanSeq < this.store.nextSeq;
+  }
+
+  // 已扫描的比例 (0~1)
+  get scanProgress() {
+    const total = this.store.nextSeq - this.store.firstSeq;
+    return total > 0 ? Math.max(0, this.scanSeq - this.store.firstSeq) / total : 1;
+  }
+
+  // 最多匹配 limit 条尚未扫描的日志，返回是否已扫描完
+  scan(limit) {
+    const end = Math.min(this.store.nextSeq, Math.max(this.scanSeq, this.store.firstSeq) + limit);
+    let seq = Math.max(this.scanSeq, this.store.firstSeq);
+    for (; seq < end; seq++) {
+      if (this.matcher(this.store.get(seq))) {
+        this.seqs.push(seq);
+      }
+    }
+    this.scanSeq = seq;
+    return !this.scanning;
+  }
+
+  clear() {
+    this.seqs = [];
+    this.offset = 0;
+    this.scanSeq = this.store.nextSeq;
+    if (this.frozenSeq !== null) {
+      this.frozenSeq = this.store.nextSeq;
+    }
+    this.expanded.clear();
+  }
+
+  // 新日志写入缓冲区后调用；扫描尚未追上时留给 scan 处理，保证 seqs 有序
+  add(entry) {
+    if (entry.seq !== this.scanSeq) {
+      return;
+    }
+    this.scanSeq++;
+    if (this.matcher && this.matcher(entry)) {
+      this.seqs.push(entry.seq);
+    }
+  }
+
+  // 缓冲区淘汰旧日志后调用，移除视图中已失效的 seq
+  prune() {
+    const firstSeq = this.store.firstSeq;
+    while (this.offset < this.seqs.length && this.seqs[this.offset] < firstSeq) {
+      this.offset++;
+    }
+    // 失效部分过多时压缩数组
+    if (this.offset > 4096 && this.offset * 2 > this.seqs.length) {
+      this.seqs = this.seqs.slice(this.offset);
+      this.offset = 0;
+    }
+    for (const seq of this.expanded) {
+      if (seq < firstSeq) {
+        this.expanded.delete(seq);
+      }
+    }
+  }
+
+  get count() {
+    if (this.frozenSeq !== null) {
+      return this.matcher
+        ? this.lowerBound(this.frozenSeq) - this.offset
+        : Math.max(0, this.frozenSeq - this.store.firstSeq);
+    }
+    return this.matcher ? this.seqs.length - this.offset : this.store.size;
+  }
+
+  seqAt(index) {
+    return this.matcher ? this.seqs[this.offset + index] : this.store.firstSeq + index;
+  }
+
+  entryAt(index) {
+    return this.store.get(this.seqAt(index));
+  }
+
+  // 日志在视图中的位置，不在视图中时返回 -1
+  indexOf(seq) {
+    if (!this.matcher) {
+      return seq >= this.store.firstSeq && seq < this.store.nextSeq ? seq - this.store.firstSeq : -1;
+    }
+    let low = this.offset;
+    let high = this.seqs.length - 1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (this.seqs[mid] === seq) {
+        return mid - this.offset;
+      }
+      if (this.seqs[mid] < seq) {
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return -1;
+  }
+
+  setExpanded(seq, expanded) {
+    if (expanded) {
+      this.expanded.add(seq);
+    } else {
+      this.expanded.delete(seq);
+    }
+  }
+
+  // 视图中已展开的日志，按位置排序
+  expandedItems() {
+    const items = [];
+    for (const seq of this.expanded) {
+      const index = this.indexOf(seq);
+      if (index >= 0 && index < this.count) {
+        const entry = this.store.get(seq);
+        items.push({ index, entry, lines: entry.message.split('\n') });
+      }
+    }
+    return items.sort((a, b) => a.index - b.index);
+  }
+
+  // 日志在显示行中的位置（计入之前展开日志的额外行），不在视图中时返回 -1
+  displayIndexOf(seq) {
+    const index = this.indexOf(seq);
+    if (index < 0 || index >= this.count) {
+      return -1;
+    }
+    return this.expandedItems()
+      .filter(item => item.index < index)
+      .reduce((sum, item) => sum + item.lines.length - 1, index);
+  }
+
+  // 显示行数：日志条数加上展开日志的额外行数
+  get displayCount() {
+    return this.expandedItems().reduce((sum, item) => sum + item.lines.length - 1, this.count);
+  }
+
+  // 取显示行 [start, end)，decorate 用于在发送前补充字段（返回新对象，不修改缓冲区中的日志）
+  displayRows(start, end, decorate) {
+    const expanded = this.expandedItems();
+    const rows = [];
+    let shift = 0; // 当前位置之前展开日志占用的额外行数
+    let k = 0;
+    for (let display = Math.max(0, start); display < end; display++) {
+      // 跳过整个展开块都在当前位置之前的日志
+      while (k < expanded.length && expanded[k].index + shift + expanded[k].lines.length - 1 < display) {
+        shift += expanded[k].lines.length - 1;
+        k++;
+      }
+      if (k < expanded.length && display >= expanded[k].index + shift) {
+        const { entry, lines } = expanded[k];
+        const line = display - expanded[k].index - shift;
+        rows.push(line === 0
+          ? { ...decorate(entry), expanded: true }
+          : { ...decorate(entry), key: `${entry.seq}:${line}`, continuation: true, message: lines[line] });
+        continue;
+      }
+      const index = display - shift;
+      if (index >= this.count) {
+        break;
+      }
+      rows.push(decorate(this.entryAt(index)));
+    }
+    return rows;
+  }
+}